@@ -1,16 +1,34 @@
 // Client-side state
 let socket = null;
+
+// Draft room from the URL (?draft=CODE); without one, the lobby is shown
+const draftIdFromUrl = (new URLSearchParams(window.location.search).get('draft') || '').trim().toUpperCase() || null;
+
 let localState = {
   myTeamId: null,
   myTeamName: null,
+  myTeamPin: null,  // Secret needed to reclaim this team from another tab or device
   isWatcher: false,  // true if joined as spectator
   myWatcherId: null,
   myWatcherName: null,
+  commissionerRole: null,  // 'commissioner' | 'co-commissioner' | null
   currentView: 'setup',
   selectedPosition: 'ALL',
   searchQuery: '',
+  sortKey: null,  // Players grid sort: 'position', 'name', or a ranking field ('rank', 'projPoints', ...); null picks a default
+  sortDescending: false,
+  hideInjured: false,  // Hide players marked Out or IR, or whose NFL team is eliminated, from the players grid
   draftState: null,
+  serverTimeOffset: 0,  // server clock minus local clock, for the pick countdown
   availablePlayers: [],
+  myQueue: [],  // Player IDs, private to this team and synced with the server
+  lotteryReveal: null,  // { teamIds, revealed } while a draft lottery is being animated
+  lotteryRevealTimer: null,  // Interval stepping the reveal; a new lottery clears the old one first
+  replacingPick: null,  // Pick number the commissioner is choosing a new player for
+  commishPickTeamId: null,  // Team the commissioner is entering a pick for
+  scoreboard: null,  // Standings and fantasy points by playoff round, from /api/scores and 'scores-updated'
+  expandedScoreTeamId: null,  // Team whose per-player points are shown in the leaderboard
+  showDraftBoard: false,  // Draft view shows the board grid instead of the players view
   chatMessages: [],
   chatOpen: false,
   unreadCount: 0
@@ -18,8 +36,16 @@ let localState = {
 
 // DOM Elements
 const elements = {
+  // Lobby view
+  lobbyView: document.getElementById('lobby-view'),
+  createDraftButton: document.getElementById('create-draft-button'),
+  roomCodeInput: document.getElementById('room-code-input'),
+  joinRoomButton: document.getElementById('join-room-button'),
+  lobbyError: document.getElementById('lobby-error'),
+
   // Setup view
   setupView: document.getElementById('setup-view'),
+  copyLinkButton: document.getElementById('copy-link-button'),
   teamNameInput: document.getElementById('team-name-input'),
   joinButton: document.getElementById('join-button'),
   watchButton: document.getElementById('watch-button'),
@@ -27,31 +53,124 @@ const elements = {
   joinedMessage: document.getElementById('joined-message'),
   watchingMessage: document.getElementById('watching-message'),
   yourTeamName: document.getElementById('your-team-name'),
+  yourTeamPin: document.getElementById('your-team-pin'),
+  claimCommissionerButton: document.getElementById('claim-commissioner-button'),
   yourWatcherName: document.getElementById('your-watcher-name'),
   teamCount: document.getElementById('team-count'),
   teamsUl: document.getElementById('teams-ul'),
+  setupWatchers: document.getElementById('setup-watchers'),
+  draftOrderStatus: document.getElementById('draft-order-status'),
+  draftOrderControls: document.getElementById('draft-order-controls'),
+  lotterySeedInput: document.getElementById('lottery-seed-input'),
+  runLotteryButton: document.getElementById('run-lottery-button'),
+  lockOrderButton: document.getElementById('lock-order-button'),
+  keepersSection: document.getElementById('keepers-section'),
+  playerPoolSection: document.getElementById('player-pool-section'),
+  playerPoolStatus: document.getElementById('player-pool-status'),
+  playerFileInput: document.getElementById('player-file-input'),
+  importPlayersButton: document.getElementById('import-players-button'),
+  resetPlayersButton: document.getElementById('reset-players-button'),
+  addPlayerName: document.getElementById('add-player-name'),
+  addPlayerTeam: document.getElementById('add-player-team'),
+  addPlayerPosition: document.getElementById('add-player-position'),
+  addPlayerButton: document.getElementById('add-player-button'),
+  poolSearchInput: document.getElementById('pool-search-input'),
+  poolSearchResults: document.getElementById('pool-search-results'),
+  rankingsSection: document.getElementById('rankings-section'),
+  rankingsStatus: document.getElementById('rankings-status'),
+  rankingsForm: document.getElementById('rankings-form'),
+  rankingsFileInput: document.getElementById('rankings-file-input'),
+  importRankingsButton: document.getElementById('import-rankings-button'),
+  clearRankingsButton: document.getElementById('clear-rankings-button'),
+  keepersList: document.getElementById('keepers-list'),
+  keeperForm: document.getElementById('keeper-form'),
+  keeperTeamSelect: document.getElementById('keeper-team-select'),
+  keeperPlayerSelect: document.getElementById('keeper-player-select'),
+  keeperRoundInput: document.getElementById('keeper-round-input'),
+  assignKeeperButton: document.getElementById('assign-keeper-button'),
+  keeperHint: document.getElementById('keeper-hint'),
   startDraftButton: document.getElementById('start-draft-button'),
   waitingMessage: document.getElementById('waiting-message'),
+  draftSettings: document.getElementById('draft-settings'),
+  draftTypeSelect: document.getElementById('draft-type-select'),
+  auctionSettings: document.getElementById('auction-settings'),
+  auctionBudgetInput: document.getElementById('auction-budget-input'),
+  auctionBidSecondsInput: document.getElementById('auction-bid-seconds-input'),
+  draftFormatRow: document.getElementById('draft-format-row'),
+  draftFormatSelect: document.getElementById('draft-format-select'),
+  customOrderSettings: document.getElementById('custom-order-settings'),
+  customOrderInput: document.getElementById('custom-order-input'),
+  tradeReviewCheckbox: document.getElementById('trade-review-checkbox'),
+  pickSecondsInput: document.getElementById('pick-seconds-input'),
+  pickSecondsByRoundInput: document.getElementById('pick-seconds-by-round-input'),
+  rosterSettings: document.getElementById('roster-settings'),
+  saveSettingsButton: document.getElementById('save-settings-button'),
 
   // Draft view
   draftView: document.getElementById('draft-view'),
   pickNumber: document.getElementById('pick-number'),
   pickTeam: document.getElementById('pick-team'),
+  pickClock: document.getElementById('pick-clock'),
   currentPickIndicator: document.getElementById('current-pick-indicator'),
   pauseResumeBtn: document.getElementById('pause-resume-btn'),
+  commishPickBar: document.getElementById('commish-pick-bar'),
+  commishPickSelect: document.getElementById('commish-pick-select'),
   draftTicker: document.getElementById('draft-ticker-inner'),
+  draftMain: document.getElementById('draft-main'),
+  draftBoardPanel: document.getElementById('draft-board-panel'),
+  draftBoard: document.getElementById('draft-board'),
+  boardToggleButton: document.getElementById('board-toggle-button'),
+  completeBoard: document.getElementById('complete-board'),
   teamsRosterList: document.getElementById('teams-roster-list'),
+  draftWatchers: document.getElementById('draft-watchers'),
+  leagueExposure: document.getElementById('league-exposure'),
+  teamExposure: document.getElementById('team-exposure'),
   positionFilter: document.getElementById('position-filter'),
   playerSearch: document.getElementById('player-search'),
+  playerColumns: document.getElementById('player-columns'),
+  hideInjuredCheckbox: document.getElementById('hide-injured-checkbox'),
   playersGrid: document.getElementById('players-grid'),
+  auctionBlock: document.getElementById('auction-block'),
+  auctionLot: document.getElementById('auction-lot'),
+  auctionControls: document.getElementById('auction-controls'),
+  auctionBidLabel: document.getElementById('auction-bid-label'),
+  auctionBidInput: document.getElementById('auction-bid-input'),
+  auctionBidButton: document.getElementById('auction-bid-button'),
+  auctionMaxBid: document.getElementById('auction-max-bid'),
   noPlayersMessage: document.getElementById('no-players-message'),
   positionNeeds: document.getElementById('position-needs'),
   yourRoster: document.getElementById('your-roster'),
+  autodraftToggle: document.getElementById('autodraft-toggle'),
+  autodraftCheckbox: document.getElementById('autodraft-checkbox'),
   recentPicksList: document.getElementById('recent-picks-list'),
+  queueSection: document.getElementById('queue-section'),
+  tradesSection: document.getElementById('trades-section'),
+  tradesList: document.getElementById('trades-list'),
+  proposeTradeButton: document.getElementById('propose-trade-button'),
+  tradeModal: document.getElementById('trade-modal'),
+  bracketModal: document.getElementById('bracket-modal'),
+  bracket: document.getElementById('bracket'),
+  bracketSeeds: document.getElementById('bracket-seeds'),
+  bracketCloseButton: document.getElementById('bracket-close-button'),
+  tradeTeamSelect: document.getElementById('trade-team-select'),
+  tradeGive: document.getElementById('trade-give'),
+  tradeGet: document.getElementById('trade-get'),
+  tradeCancelButton: document.getElementById('trade-cancel-button'),
+  tradeSubmitButton: document.getElementById('trade-submit-button'),
+  queueList: document.getElementById('queue-list'),
 
   // Complete view
   completeView: document.getElementById('complete-view'),
   finalRosters: document.getElementById('final-rosters'),
+  leaderboard: document.getElementById('leaderboard'),
+  scoringSection: document.getElementById('scoring-section'),
+  statsRoundSelect: document.getElementById('stats-round-select'),
+  statsFileInput: document.getElementById('stats-file-input'),
+  importStatsButton: document.getElementById('import-stats-button'),
+  clearStatsButton: document.getElementById('clear-stats-button'),
+  statsImportStatus: document.getElementById('stats-import-status'),
+  scoringRulesForm: document.getElementById('scoring-rules-form'),
+  saveScoringButton: document.getElementById('save-scoring-button'),
   downloadResultsButton: document.getElementById('download-results-button'),
 
   // Chat
@@ -66,9 +185,13 @@ const elements = {
   notification: document.getElementById('notification')
 };
 
-// Initialize socket connection
+// Initialize socket connection (scoped to the room in the URL)
 function initializeSocket() {
-  socket = io();
+  socket = io({ query: { draft: draftIdFromUrl } });
+
+  socket.on('draft-not-found', (data) => {
+    showLobby(`No draft found with room code ${data.draftId || ''}. Check the code or create a new draft.`);
+  });
 
   socket.on('connect', () => {
     console.log('Connected to server');
@@ -78,17 +201,64 @@ function initializeSocket() {
   socket.on('joined', (data) => {
     localState.myTeamId = data.teamId;
     localState.myTeamName = data.teamName;
+    localState.myTeamPin = data.pin;
     localState.isWatcher = false;
     // Use sessionStorage so each browser tab has its own session
     sessionStorage.setItem('playoffDraftTeamName', data.teamName);
     sessionStorage.setItem('playoffDraftTeamId', data.teamId);
+    sessionStorage.setItem('playoffDraftTeamPin', data.pin);
     sessionStorage.removeItem('playoffDraftWatcherName');
     sessionStorage.removeItem('playoffDraftWatcherId');
     console.log(`Joined as team: ${data.teamName} (ID: ${data.teamId})`);
+    // Joining marks us active on the server
+    reportedIdle = false;
+    updatePresence();
+    // Re-present any commissioner token from earlier in this session
+    const commissionerToken = sessionStorage.getItem('playoffDraftCommissionerToken');
+    if (commissionerToken) {
+      socket.emit('authenticate-commissioner', { token: commissionerToken });
+    }
     // Re-render everything to update draft buttons with correct team context
     renderCurrentView();
   });
 
+  // The team name is taken: ask for its PIN (clearing the saved session so a bad PIN doesn't retry forever)
+  socket.on('team-pin-required', (data) => {
+    sessionStorage.removeItem('playoffDraftTeamName');
+    sessionStorage.removeItem('playoffDraftTeamPin');
+    const pin = prompt(`${data.invalid ? 'That PIN is wrong. ' : ''}"${data.teamName}" is already in this draft. ` +
+                       'Enter its team PIN to reclaim it (the commissioner can reset it if you\'ve lost it).');
+    if (pin) {
+      socket.emit('join-draft', { teamName: data.teamName, pin });
+    }
+  });
+
+  // Someone reclaimed this team with its PIN from another tab or device
+  socket.on('team-reclaimed', () => {
+    localState.myTeamId = null;
+    localState.myTeamName = null;
+    localState.myTeamPin = null;
+    sessionStorage.removeItem('playoffDraftTeamName');
+    sessionStorage.removeItem('playoffDraftTeamId');
+    sessionStorage.removeItem('playoffDraftTeamPin');
+    // Any commissioner role went with the team
+    localState.commissionerRole = null;
+    sessionStorage.removeItem('playoffDraftCommissionerToken');
+    showNotification('Your team was reclaimed from another browser or device');
+    renderCurrentView();
+  });
+
+  socket.on('team-pin-updated', (data) => {
+    localState.myTeamPin = data.pin;
+    sessionStorage.setItem('playoffDraftTeamPin', data.pin);
+    showNotification(`The commissioner reset your team PIN to ${data.pin}`);
+    renderCurrentView();
+  });
+
+  socket.on('team-pin-reset', (data) => {
+    alert(`New PIN for ${data.teamName}: ${data.pin}\nPass it on so they can rejoin. Their old PIN no longer works.`);
+  });
+
   socket.on('joined-as-watcher', (data) => {
     localState.myWatcherId = data.watcherId;
     localState.myWatcherName = data.watcherName;
@@ -101,9 +271,47 @@ function initializeSocket() {
     sessionStorage.removeItem('playoffDraftTeamName');
     sessionStorage.removeItem('playoffDraftTeamId');
     console.log(`Joined as watcher: ${data.watcherName} (ID: ${data.watcherId})`);
+    reportedIdle = false;
+    updatePresence();
+    renderCurrentView();
+  });
+
+  socket.on('commissioner-granted', (data) => {
+    const wasCommissioner = localState.commissionerRole;
+    localState.commissionerRole = data.role;
+    sessionStorage.setItem('playoffDraftCommissionerToken', data.token);
+    if (wasCommissioner !== data.role) {
+      showNotification(data.role === 'commissioner' ? 'You are the commissioner' : 'You are now a co-commissioner');
+    }
+    renderCurrentView();
+  });
+
+  socket.on('commissioner-revoked', () => {
+    const wasCommissioner = localState.commissionerRole;
+    localState.commissionerRole = null;
+    sessionStorage.removeItem('playoffDraftCommissionerToken');
+    if (wasCommissioner) {
+      showNotification('You are no longer a commissioner');
+    }
     renderCurrentView();
   });
 
+  // A team or watcher connected, disconnected, or went idle/active
+  socket.on('presence-updated', (data) => {
+    const state = localState.draftState;
+    if (!state) return;
+    const member = state.teams.find(t => t.id === data.id) || state.watchers.find(w => w.id === data.id);
+    if (!member) return;
+    member.presence = { status: data.status, lastSeen: data.lastSeen };
+
+    if (localState.currentView === 'setup') {
+      renderSetupView();
+    } else if (localState.currentView === 'drafting') {
+      renderDraftTicker();
+      renderTeamsRosters();
+    }
+  });
+
   socket.on('draft-state-updated', (state) => {
     // Check if this is a new draft or stale session
     const savedDraftId = sessionStorage.getItem('playoffDraftId');
@@ -125,6 +333,7 @@ function initializeSocket() {
       localState.myWatcherId = null;
       localState.myWatcherName = null;
       localState.isWatcher = false;
+      localState.commissionerRole = null;
     }
 
     // Save current draft ID
@@ -135,22 +344,45 @@ function initializeSocket() {
       const teamName = sessionStorage.getItem('playoffDraftTeamName');
       const watcherName = sessionStorage.getItem('playoffDraftWatcherName');
       if (teamName && !localState.myTeamId) {
-        socket.emit('join-draft', { teamName });
+        socket.emit('join-draft', { teamName, pin: sessionStorage.getItem('playoffDraftTeamPin') });
       } else if (watcherName && !localState.myWatcherId) {
         socket.emit('join-as-watcher', { watcherName });
       }
     }
 
     localState.draftState = state;
+    localState.serverTimeOffset = state.serverTime - Date.now();
     // Convert draftedPlayerIds back to Set for easier lookup
     localState.draftState.draftedPlayerIdsSet = new Set(state.draftedPlayerIds);
     renderCurrentView();
+    if (elements.bracketModal.style.display !== 'none') {
+      renderBracket();
+    }
   });
 
   socket.on('players-updated', (players) => {
     localState.availablePlayers = players;
     if (localState.currentView === 'drafting') {
       renderPlayersGrid();
+    } else if (localState.currentView === 'setup' && localState.draftState) {
+      renderKeepers();
+      renderPlayerPool();
+    }
+  });
+
+  socket.on('scores-updated', (scoreboard) => {
+    notifyNewScores(localState.scoreboard, scoreboard);
+    localState.scoreboard = scoreboard;
+    if (localState.currentView === 'complete') {
+      renderScoring();
+    }
+  });
+
+  socket.on('queue-updated', (data) => {
+    localState.myQueue = data.playerIds;
+    if (localState.currentView === 'drafting') {
+      renderQueue();
+      renderPlayersGrid();
     }
   });
 
@@ -162,11 +394,52 @@ function initializeSocket() {
 
   socket.on('player-drafted', (data) => {
     const isMyPick = data.teamId === localState.myTeamId;
-    if (!isMyPick) {
-      showNotification(`${data.teamName} drafted ${data.playerName} (${data.playerPosition})`);
+    if (data.price !== null) {
+      showNotification(isMyPick
+        ? `You won ${data.playerName} for $${data.price}`
+        : `${data.teamName} won ${data.playerName} (${data.playerPosition}) for $${data.price}`);
+    } else if (data.enteredBy) {
+      showNotification(isMyPick
+        ? `${data.enteredBy} drafted ${data.playerName} (${data.playerPosition}) for you`
+        : `${data.teamName} drafted ${data.playerName} (${data.playerPosition}), entered by ${data.enteredBy}`);
+    } else if (!isMyPick) {
+      showNotification(`${data.teamName} ${data.autoPick ? 'auto-drafted' : 'drafted'} ${data.playerName} (${data.playerPosition})`);
+    } else if (data.autoPick) {
+      showNotification(`Auto-drafted ${data.playerName} (${data.playerPosition}) for you`);
+    }
+  });
+
+  socket.on('auction-bid', (data) => {
+    if (data.nomination && data.teamId !== localState.myTeamId) {
+      showNotification(`${data.teamName} nominated ${data.playerName} for $${data.bid}`);
+    }
+  });
+
+  socket.on('trade-updated', (data) => {
+    const me = localState.myTeamId;
+    const involved = data.fromTeamId === me || data.toTeamId === me;
+    if (data.status === 'completed') {
+      showNotification(`Trade completed: ${data.fromTeamName} and ${data.toTeamName}`);
+    } else if (data.status === 'proposed' && data.toTeamId === me) {
+      showNotification(`${data.fromTeamName} sent you a trade offer`);
+    } else if (data.status === 'rejected' && data.fromTeamId === me) {
+      showNotification(`${data.toTeamName} rejected your trade offer`);
+    } else if (data.status === 'awaiting-approval' && (involved || isCommissioner())) {
+      showNotification(`Trade between ${data.fromTeamName} and ${data.toTeamName} is waiting for the commissioner`);
+    } else if ((data.status === 'vetoed' || data.status === 'void') && involved) {
+      showNotification(`Your trade with ${data.fromTeamId === me ? data.toTeamName : data.fromTeamName} didn't go through`);
     }
   });
 
+  socket.on('draft-lottery', (data) => {
+    startLotteryReveal(data.teamIds);
+  });
+
+  socket.on('pick-clock-expired', (data) => {
+    const isMe = data.teamId === localState.myTeamId;
+    showNotification(isMe ? 'Your time is up!' : `${data.teamName} is out of time`);
+  });
+
   socket.on('error', (data) => {
     alert(data.message);
   });
@@ -206,13 +479,37 @@ function showNotification(message) {
   }, 3000);
 }
 
+// Lobby: shown when the URL has no room code, or the code doesn't match a draft
+function showLobby(errorMessage) {
+  elements.lobbyView.style.display = 'block';
+  elements.setupView.style.display = 'none';
+  elements.draftView.style.display = 'none';
+  elements.completeView.style.display = 'none';
+  elements.chatContainer.style.display = 'none';
+
+  elements.lobbyError.textContent = errorMessage || '';
+  elements.lobbyError.style.display = errorMessage ? 'block' : 'none';
+  if (draftIdFromUrl) {
+    elements.roomCodeInput.value = draftIdFromUrl;
+  }
+}
+
+function getInviteUrl() {
+  return `${window.location.origin}/?draft=${localState.draftState.draftId}`;
+}
+
 // Render based on current state
 function renderCurrentView() {
   if (!localState.draftState) return;
 
   const phase = localState.draftState.phase;
 
+  document.querySelectorAll('.room-code').forEach(el => {
+    el.textContent = localState.draftState.draftId;
+  });
+
   // Hide all views
+  elements.lobbyView.style.display = 'none';
   elements.setupView.style.display = 'none';
   elements.draftView.style.display = 'none';
   elements.completeView.style.display = 'none';
@@ -244,15 +541,245 @@ function renderSetupView() {
   // Update team count
   elements.teamCount.textContent = state.teams.length;
 
-  // Update teams list
-  elements.teamsUl.innerHTML = state.teams.map(team => {
+  // Update teams list, in first-round draft order (picks are hidden until revealed during a lottery)
+  const { orderSetup } = state;
+  const reveal = localState.lotteryReveal;
+  const teamIds = reveal ? reveal.teamIds : orderSetup.teamIds;
+  const canReorder = isCommissioner() && !orderSetup.locked && !reveal;
+
+  elements.teamsUl.innerHTML = teamIds.map((teamId, index) => {
+    if (reveal && index < teamIds.length - reveal.revealed) {
+      return `
+        <li class="lottery-hidden">
+          <span><span class="order-number">${index + 1}.</span> ?</span>
+        </li>
+      `;
+    }
+
+    const team = findTeamById(teamId);
+    if (!team) return '';
     const isMe = team.id === localState.myTeamId;
-    return `<li class="${isMe ? 'my-team' : ''}">${escapeHtml(team.name)}${isMe ? ' (You)' : ''}</li>`;
+    return `
+      <li class="${isMe ? 'my-team' : ''}${canReorder ? ' order-draggable' : ''}" data-index="${index}" ${canReorder ? 'draggable="true"' : ''}>
+        <span>
+          ${canReorder ? '<span class="order-handle" title="Drag to reorder">⋮⋮</span>' : ''}
+          <span class="order-number">${index + 1}.</span>
+          ${renderPresenceDot(team.presence)}${escapeHtml(team.name)}${isMe ? ' (You)' : ''}${renderCommissionerBadge(team)}
+        </span>
+        ${renderCommissionerActions(team)}
+      </li>
+    `;
   }).join('');
 
+  renderWatchers(elements.setupWatchers);
+  renderDraftOrderSetup();
+  renderKeepers();
+  renderPlayerPool();
+  renderRankingsImport();
   updateSetupView();
 }
 
+// Player pool management for commissioners: upload a list, add one player, or search and remove
+function renderPlayerPool() {
+  const { playerPool } = localState.draftState;
+  if (!isCommissioner()) {
+    elements.playerPoolSection.style.display = 'none';
+    return;
+  }
+
+  elements.playerPoolSection.style.display = 'block';
+  elements.playerPoolStatus.textContent = playerPool.custom
+    ? `Using an uploaded player list (${playerPool.count} players).`
+    : `Using the default player list (${playerPool.count} players).`;
+  elements.resetPlayersButton.style.display = playerPool.custom ? 'inline-block' : 'none';
+
+  const query = elements.poolSearchInput.value.trim().toLowerCase();
+  if (!query) {
+    elements.poolSearchResults.innerHTML = '';
+    return;
+  }
+  const matches = localState.availablePlayers.filter(p => p.searchText.includes(query)).slice(0, 15);
+  elements.poolSearchResults.innerHTML = matches.length === 0
+    ? '<li class="no-picks">No players match</li>'
+    : matches.map(p => `
+      <li>
+        <span>${escapeHtml(p.name)} <span class="position-badge position-${p.position}">${p.position}</span> ${escapeHtml(p.team)}</span>
+        <button class="row-action-btn" onclick="removePlayer('${escapeHtml(p.id)}')" title="Remove from the player pool">×</button>
+      </li>
+    `).join('');
+}
+
+function handleImportPlayers() {
+  const file = elements.playerFileInput.files[0];
+  if (!file) {
+    alert('Choose a player file (CSV or JSON) first');
+    return;
+  }
+  if (!confirm('Replace the whole player pool with this file?')) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    socket.emit('import-players', { text: reader.result });
+    elements.playerFileInput.value = '';
+  };
+  reader.readAsText(file);
+}
+
+function handleResetPlayers() {
+  if (!confirm('Go back to the default player list? Uploaded and added players will be removed.')) return;
+  socket.emit('reset-players');
+}
+
+function handleAddPlayer() {
+  const name = elements.addPlayerName.value.trim();
+  const team = elements.addPlayerTeam.value.trim();
+  if (!name || !team) {
+    alert('Enter the player\'s name and team');
+    return;
+  }
+  socket.emit('add-player', { name, team, position: elements.addPlayerPosition.value });
+  elements.addPlayerName.value = '';
+}
+
+function removePlayer(playerId) {
+  const player = localState.availablePlayers.find(p => p.id === playerId);
+  if (!player || !confirm(`Remove ${player.name} from the player pool?`)) return;
+  socket.emit('remove-player', { playerId });
+}
+
+// Rankings import status, with the upload form for commissioners
+function renderRankingsImport() {
+  const state = localState.draftState;
+  const summary = state.rankingsImport;
+  const canEdit = isCommissioner();
+
+  elements.rankingsSection.style.display = canEdit || summary ? 'block' : 'none';
+  elements.rankingsForm.style.display = canEdit ? 'flex' : 'none';
+  elements.clearRankingsButton.style.display = summary ? 'inline-block' : 'none';
+
+  if (!summary) {
+    elements.rankingsStatus.textContent = 'No rankings imported. Players are listed by position.';
+    return;
+  }
+  const unmatched = summary.unmatchedCount > 0
+    ? ` ${summary.unmatchedCount} row(s) didn't match a player: ${summary.unmatched.join(', ')}${summary.unmatchedCount > summary.unmatched.length ? ', ...' : ''}`
+    : '';
+  elements.rankingsStatus.textContent =
+    `${summary.matched} players ranked (imported ${new Date(summary.importedAt).toLocaleString()}).${unmatched}`;
+}
+
+function handleImportRankings() {
+  const file = elements.rankingsFileInput.files[0];
+  if (!file) {
+    alert('Choose a rankings CSV file first');
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => {
+    socket.emit('import-rankings', { csv: reader.result });
+    elements.rankingsFileInput.value = '';
+  };
+  reader.readAsText(file);
+}
+
+function handleClearRankings() {
+  if (!confirm('Remove the imported rankings?')) return;
+  socket.emit('clear-rankings');
+}
+
+// Keepers list for everyone, plus the assign form for commissioners
+function renderKeepers() {
+  const state = localState.draftState;
+  const canEdit = isCommissioner();
+
+  elements.keepersSection.style.display = canEdit || state.keepers.length > 0 ? 'block' : 'none';
+  elements.keepersList.innerHTML = state.keepers.length === 0
+    ? '<li class="no-picks">No keepers</li>'
+    : state.keepers.map(keeper => {
+      const team = findTeamById(keeper.teamId);
+      const player = findAnyPlayer(keeper.playerId);
+      return `
+        <li>
+          <span>
+            <strong>${escapeHtml(team ? team.name : 'Unknown')}</strong> -
+            ${escapeHtml(player ? player.name : 'Unknown')}${player ? ` (${player.position})` : ''}
+            <span class="keeper-round">Round ${keeper.round}</span>
+          </span>
+          ${canEdit ? `<button class="row-action-btn" onclick="removeKeeper('${keeper.playerId}')" title="Remove keeper">×</button>` : ''}
+        </li>
+      `;
+    }).join('');
+
+  elements.keeperForm.style.display = canEdit ? 'flex' : 'none';
+  elements.keeperHint.style.display = canEdit ? 'block' : 'none';
+  if (!canEdit) return;
+
+  // Rebuild the pickers, keeping whatever the commissioner has selected
+  const selectedTeam = elements.keeperTeamSelect.value;
+  elements.keeperTeamSelect.innerHTML = '<option value="">Team...</option>' + state.orderSetup.teamIds.map(id => {
+    const team = findTeamById(id);
+    return team ? `<option value="${team.id}">${escapeHtml(team.name)}</option>` : '';
+  }).join('');
+  elements.keeperTeamSelect.value = selectedTeam;
+
+  const selectedPlayer = elements.keeperPlayerSelect.value;
+  const positions = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+  elements.keeperPlayerSelect.innerHTML = '<option value="">Player...</option>' + positions.map(position => `
+    <optgroup label="${position}">
+      ${localState.availablePlayers
+        .filter(p => p.position === position)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(p => `<option value="${p.id}">${escapeHtml(p.name)} (${p.team})</option>`)
+        .join('')}
+    </optgroup>
+  `).join('');
+  elements.keeperPlayerSelect.value = selectedPlayer;
+  elements.keeperRoundInput.max = getRosterSize();
+}
+
+// Draft order status for everyone, plus lottery/lock controls for commissioners
+function renderDraftOrderSetup() {
+  const { orderSetup } = localState.draftState;
+
+  const methodLabels = {
+    join: 'Draft order: join order',
+    manual: 'Draft order: set by the commissioner',
+    lottery: `Draft order: lottery (seed ${orderSetup.seed})`
+  };
+  elements.draftOrderStatus.textContent = localState.lotteryReveal
+    ? 'Drawing the draft order...'
+    : `${methodLabels[orderSetup.method]} · ${orderSetup.locked ? 'Locked' : 'Not locked yet'}`;
+  elements.draftOrderStatus.classList.toggle('locked', orderSetup.locked);
+
+  if (!isCommissioner()) {
+    elements.draftOrderControls.style.display = 'none';
+    return;
+  }
+
+  elements.draftOrderControls.style.display = 'flex';
+  elements.lotterySeedInput.style.display = orderSetup.locked ? 'none' : 'inline-block';
+  elements.runLotteryButton.style.display = orderSetup.locked ? 'none' : 'inline-block';
+  elements.runLotteryButton.disabled = !!localState.lotteryReveal;
+  elements.lockOrderButton.textContent = orderSetup.locked ? 'Unlock Order' : 'Lock Order';
+}
+
+// Reveal lottery results one pick at a time, last pick first
+function startLotteryReveal(teamIds) {
+  clearInterval(localState.lotteryRevealTimer);
+  localState.lotteryReveal = { teamIds, revealed: 0 };
+  renderSetupView();
+
+  localState.lotteryRevealTimer = setInterval(() => {
+    localState.lotteryReveal.revealed++;
+    if (localState.lotteryReveal.revealed > teamIds.length) {
+      clearInterval(localState.lotteryRevealTimer);
+      localState.lotteryRevealTimer = null;
+      localState.lotteryReveal = null;
+      showNotification('Draft order drawn!');
+    }
+    renderSetupView();
+  }, 1000);
+}
+
 function updateSetupView() {
   const state = localState.draftState;
 
@@ -262,6 +789,7 @@ function updateSetupView() {
     elements.joinedMessage.style.display = 'block';
     elements.watchingMessage.style.display = 'none';
     elements.yourTeamName.textContent = localState.myTeamName;
+    elements.yourTeamPin.textContent = localState.myTeamPin || '';
   } else if (localState.isWatcher) {
     elements.joinForm.style.display = 'none';
     elements.joinedMessage.style.display = 'none';
@@ -273,16 +801,27 @@ function updateSetupView() {
     elements.watchingMessage.style.display = 'none';
   }
 
-  // Show/hide start button (only for BD Crushers team when 2+ teams)
-  const isBDCrushers = localState.myTeamName === 'BD Crushers';
-  if (state && state.teams.length >= 2 && localState.myTeamId && isBDCrushers) {
-    elements.startDraftButton.style.display = 'block';
-    elements.waitingMessage.style.display = 'none';
+  // Offer the secret prompt to teams when the server has a commissioner secret configured
+  const canClaim = state && state.commissionerSecretEnabled && localState.myTeamId &&
+                   localState.commissionerRole !== 'commissioner';
+  elements.claimCommissionerButton.style.display = canClaim ? 'inline-block' : 'none';
+
+  renderDraftSettings();
+
+  // Show/hide start button (only for commissioners when 2+ teams and the order is locked)
+  if (state && state.teams.length >= 2 && localState.myTeamId && isCommissioner()) {
+    const locked = state.orderSetup.locked;
+    elements.startDraftButton.style.display = locked ? 'block' : 'none';
+    elements.waitingMessage.style.display = locked ? 'none' : 'block';
+    elements.waitingMessage.textContent = 'Set the draft order, then lock it in to start the draft.';
   } else if (localState.myTeamId) {
     elements.startDraftButton.style.display = 'none';
     elements.waitingMessage.style.display = 'block';
-    if (!isBDCrushers && state && state.teams.length >= 2) {
-      elements.waitingMessage.textContent = 'Waiting for BD Crushers to start the draft...';
+    if (state && state.teams.length >= 2) {
+      const commissioner = findTeamById(state.commissionerTeamId);
+      elements.waitingMessage.textContent = commissioner
+        ? `Waiting for ${commissioner.name} (commissioner) to start the draft...`
+        : 'Waiting for the commissioner to start the draft...';
     } else {
       elements.waitingMessage.textContent = 'Waiting for more teams to join...';
     }
@@ -297,18 +836,120 @@ function updateSetupView() {
   }
 }
 
+// Draft settings panel (commissioners only)
+function renderDraftSettings() {
+  const state = localState.draftState;
+  if (!isCommissioner()) {
+    elements.draftSettings.style.display = 'none';
+    return;
+  }
+
+  elements.draftSettings.style.display = 'block';
+
+  // Don't clobber values the commissioner is in the middle of editing
+  const { pickClock, rosterSlots, format, customOrder, draftType, auction } = state.settings;
+  if (document.activeElement !== elements.draftTypeSelect) {
+    elements.draftTypeSelect.value = draftType;
+  }
+  if (document.activeElement !== elements.auctionBudgetInput) {
+    elements.auctionBudgetInput.value = auction.budget;
+  }
+  if (document.activeElement !== elements.auctionBidSecondsInput) {
+    elements.auctionBidSecondsInput.value = auction.bidSeconds;
+  }
+  elements.tradeReviewCheckbox.checked = state.settings.tradeReview;
+  if (!elements.draftFormatSelect.options.length) {
+    elements.draftFormatSelect.innerHTML = state.draftFormats
+      .map(f => `<option value="${f.id}">${escapeHtml(f.label)}</option>`)
+      .join('');
+  }
+  if (document.activeElement !== elements.draftFormatSelect) {
+    elements.draftFormatSelect.value = format;
+  }
+  if (document.activeElement !== elements.customOrderInput) {
+    // Show team IDs as their numbers in the setup list; start from a snake when nothing is saved yet
+    const teamIds = state.orderSetup.teamIds;
+    const rounds = customOrder || Array.from({ length: getRosterSize() }, (_, round) =>
+      (round % 2 === 0 ? teamIds : teamIds.slice().reverse()));
+    elements.customOrderInput.value = rounds
+      .map(round => round.map(id => teamIds.indexOf(id) + 1).join(','))
+      .join('\n');
+  }
+  updateCustomOrderVisibility();
+
+  if (document.activeElement !== elements.pickSecondsInput) {
+    elements.pickSecondsInput.value = pickClock.seconds;
+  }
+  if (document.activeElement !== elements.pickSecondsByRoundInput) {
+    elements.pickSecondsByRoundInput.value = pickClock.secondsByRound
+      .map(v => (v === null ? '' : v))
+      .join(',');
+  }
+
+  // Build the slot inputs once, then just refresh their values
+  if (!elements.rosterSettings.children.length) {
+    elements.rosterSettings.innerHTML = state.rosterSlotTypes.map(type => `
+      <div class="settings-row">
+        <label for="roster-count-${type.id}">${type.label}${type.positions.length > 1 && type.id !== 'BENCH' ? ` (${type.positions.join('/')})` : ''}</label>
+        <input type="number" id="roster-count-${type.id}" data-slot-id="${type.id}" min="0" max="10">
+      </div>
+    `).join('');
+  }
+  elements.rosterSettings.querySelectorAll('input').forEach(input => {
+    if (document.activeElement !== input) {
+      const slot = rosterSlots.find(s => s.id === input.dataset.slotId);
+      input.value = slot ? slot.count : 0;
+    }
+  });
+}
+
+function updateCustomOrderVisibility() {
+  const isAuctionDraft = elements.draftTypeSelect.value === 'auction';
+  elements.auctionSettings.style.display = isAuctionDraft ? 'block' : 'none';
+  elements.draftFormatRow.style.display = isAuctionDraft ? 'none' : 'flex';
+  elements.customOrderSettings.style.display = !isAuctionDraft && elements.draftFormatSelect.value === 'custom' ? 'block' : 'none';
+}
+
 // Draft View
 function renderDraftView() {
   renderCurrentPickIndicator();
+  renderAuctionBlock();
   renderPauseResumeButton();
   renderDraftTicker();
+  renderDraftBoardToggle();
   renderPositionNeeds();
+  renderCommishPickBar();
   renderTeamsRosters();
+  renderExposure();
   renderPlayersGrid();
   renderYourRoster();
+  renderQueue();
+  renderTrades();
   renderRecentPicks();
 }
 
+// Commissioners choose a team here to draft for it from the player list
+function renderCommishPickBar() {
+  const state = localState.draftState;
+  if (!isCommissioner() || isAuctionDraft() || state.phase !== 'drafting') {
+    localState.commishPickTeamId = null;
+    elements.commishPickBar.style.display = 'none';
+    return;
+  }
+
+  const currentPicker = getCurrentPicker();
+  elements.commishPickBar.style.display = 'flex';
+  elements.commishPickSelect.innerHTML = '<option value="">Nobody (off)</option>' + state.teams.map(team => `
+    <option value="${team.id}">${escapeHtml(team.name)}${currentPicker && currentPicker.id === team.id ? ' (on the clock)' : ''}</option>
+  `).join('');
+  elements.commishPickSelect.value = localState.commishPickTeamId || '';
+}
+
+function handleCommishPickSelect() {
+  localState.commishPickTeamId = elements.commishPickSelect.value || null;
+  renderPlayersGrid();
+}
+
 function renderPositionNeeds() {
   const myTeam = findTeamById(localState.myTeamId);
   if (!myTeam || !elements.positionNeeds) {
@@ -322,20 +963,13 @@ function renderPositionNeeds() {
     return;
   }
 
-  const needs = [
-    { pos: 'QB', have: myTeam.roster.QB.length, need: 1 },
-    { pos: 'RB', have: myTeam.roster.RB.length, need: 2 },
-    { pos: 'WR/TE', have: myTeam.roster.WR_TE.length, need: 3 },
-    { pos: 'K', have: myTeam.roster.K.length, need: 1 }
-  ];
-
-  const html = needs.map(n => {
-    const filled = n.have >= n.need;
-    const posClass = n.pos === 'WR/TE' ? 'WR' : n.pos;
+  const html = getRosterSlots().map(slot => {
+    const have = myTeam.roster[slot.id].length;
+    const filled = have >= slot.count;
     return `
-      <div class="need-badge ${filled ? 'filled' : ''}" data-position="${posClass}">
-        <span class="need-pos">${n.pos}</span>
-        <span class="need-count">${n.have}/${n.need}</span>
+      <div class="need-badge ${filled ? 'filled' : ''}" data-position="${getSlotColorPosition(slot)}">
+        <span class="need-pos">${slot.label}</span>
+        <span class="need-count">${have}/${slot.count}</span>
       </div>
     `;
   }).join('');
@@ -347,6 +981,8 @@ function renderCurrentPickIndicator() {
   const state = localState.draftState;
   const currentPicker = getCurrentPicker();
 
+  updatePickClock();
+
   if (!currentPicker) {
     elements.pickNumber.textContent = 'Draft Complete';
     elements.pickTeam.textContent = '';
@@ -356,10 +992,12 @@ function renderCurrentPickIndicator() {
   }
 
   const pickNum = state.currentPickIndex + 1;
-  const round = Math.floor(state.currentPickIndex / state.teams.length) + 1;
+  const round = getPickRound(state.currentPickIndex) + 1;
   const pickInRound = (state.currentPickIndex % state.teams.length) + 1;
 
-  elements.pickNumber.textContent = `Round ${round}, Pick ${pickInRound} (Overall #${pickNum})`;
+  elements.pickNumber.textContent = isAuctionDraft()
+    ? `Player ${pickNum} of ${state.draftOrder.length}`
+    : `Round ${round}, Pick ${pickInRound} (Overall #${pickNum})`;
 
   if (state.paused) {
     elements.pickTeam.textContent = 'DRAFT PAUSED';
@@ -368,9 +1006,18 @@ function renderCurrentPickIndicator() {
   } else {
     elements.currentPickIndicator.classList.remove('paused');
     const isMyTurn = currentPicker.id === localState.myTeamId;
-    if (isMyTurn) {
-      elements.pickTeam.textContent = 'YOUR TURN!';
+    if (state.lot) {
+      // Auction lot open: everyone's bidding, not just the nominator
+      const bidder = findTeamById(state.lot.bidderId);
+      const player = findAnyPlayer(state.lot.playerId);
+      elements.pickTeam.textContent = `${player ? player.name : 'Player'}: $${state.lot.bid} (${bidder ? bidder.name : '?'})`;
+      elements.currentPickIndicator.classList.toggle('your-turn', state.lot.bidderId === localState.myTeamId);
+    } else if (isMyTurn) {
+      elements.pickTeam.textContent = isAuctionDraft() ? 'YOUR NOMINATION!' : 'YOUR TURN!';
       elements.currentPickIndicator.classList.add('your-turn');
+    } else if (isAuctionDraft()) {
+      elements.pickTeam.textContent = `${currentPicker.name} is nominating`;
+      elements.currentPickIndicator.classList.remove('your-turn');
     } else {
       elements.pickTeam.textContent = `${currentPicker.name} is on the clock`;
       elements.currentPickIndicator.classList.remove('your-turn');
@@ -378,11 +1025,108 @@ function renderCurrentPickIndicator() {
   }
 }
 
+// Milliseconds left on the current pick, or null when there is no clock
+function getPickClockRemaining() {
+  const state = localState.draftState;
+  if (!state || state.phase !== 'drafting' || !state.clock) return null;
+  if (state.clock.deadline === null) return state.clock.remainingMs;
+  return Math.max(0, state.clock.deadline - (Date.now() + localState.serverTimeOffset));
+}
+
+function formatClock(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Updates only the countdown text, so it can run every tick without re-rendering the view
+function updatePickClock() {
+  const remaining = getPickClockRemaining();
+  const tickerClock = document.getElementById('ticker-clock');
+
+  if (remaining === null) {
+    elements.pickClock.style.display = 'none';
+    if (tickerClock) tickerClock.textContent = '';
+    return;
+  }
+
+  const text = formatClock(remaining);
+  elements.pickClock.style.display = 'block';
+  elements.pickClock.textContent = text;
+  elements.pickClock.classList.toggle('warning', remaining <= 10000);
+  elements.pickClock.classList.toggle('frozen', localState.draftState.paused);
+  if (tickerClock) tickerClock.textContent = text;
+}
+
+// Auction: the player up for bids and this team's bid controls
+function renderAuctionBlock() {
+  const state = localState.draftState;
+  if (!isAuctionDraft() || state.phase !== 'drafting') {
+    elements.auctionBlock.style.display = 'none';
+    return;
+  }
+
+  elements.auctionBlock.style.display = 'block';
+  const myTeam = findTeamById(localState.myTeamId);
+  const nominator = getCurrentPicker();
+  const lot = state.lot;
+
+  if (!lot) {
+    const isMyNomination = myTeam && nominator && nominator.id === myTeam.id;
+    elements.auctionLot.innerHTML = isMyNomination
+      ? '<div class="auction-status">Your nomination: set an opening bid, then click Nominate on a player</div>'
+      : `<div class="auction-status">${nominator ? `${escapeHtml(nominator.name)} is picking a player to nominate...` : ''}</div>`;
+    elements.auctionControls.style.display = isMyNomination && !state.paused ? 'flex' : 'none';
+    elements.auctionBidLabel.textContent = 'Opening bid';
+    elements.auctionBidButton.style.display = 'none';
+    if (isMyNomination) {
+      elements.auctionMaxBid.textContent = `Max $${getMaxBid(myTeam)}`;
+      if (document.activeElement !== elements.auctionBidInput && !elements.auctionBidInput.value) {
+        elements.auctionBidInput.value = state.auctionMinBid;
+      }
+    }
+    return;
+  }
+
+  const player = findAnyPlayer(lot.playerId);
+  const bidder = findTeamById(lot.bidderId);
+  const isHighBidder = myTeam && lot.bidderId === myTeam.id;
+  const maxBid = myTeam ? getMaxBid(myTeam) : 0;
+  const canBid = myTeam && !state.paused && !isHighBidder && player &&
+                 canDraftPosition(myTeam, player.position) && maxBid > lot.bid;
+
+  elements.auctionLot.innerHTML = `
+    <div class="auction-player">
+      <span class="player-name">${player ? escapeHtml(player.name) : 'Unknown'}</span>
+      ${player ? `<span class="position-badge position-${player.position}">${player.position}</span> <span class="team-abbr">${player.team}</span>` : ''}
+    </div>
+    <div class="auction-high-bid">
+      <span class="auction-price">$${lot.bid}</span>
+      <span>${isHighBidder ? 'Your bid' : escapeHtml(bidder ? bidder.name : '?')}</span>
+    </div>
+    ${canBid ? `
+      <div class="auction-quick-bids">
+        ${[1, 5].filter(step => lot.bid + step <= maxBid).map(step =>
+          `<button class="auction-quick-bid" onclick="placeBid(${lot.bid + step})">$${lot.bid + step}</button>`
+        ).join('')}
+      </div>
+    ` : ''}
+  `;
+
+  elements.auctionControls.style.display = canBid ? 'flex' : 'none';
+  elements.auctionBidLabel.textContent = 'Your bid';
+  elements.auctionBidButton.style.display = 'inline-block';
+  elements.auctionMaxBid.textContent = `Max $${maxBid}`;
+  if (document.activeElement !== elements.auctionBidInput) {
+    elements.auctionBidInput.value = lot.bid + 1;
+  }
+}
+
 function renderPauseResumeButton() {
   const state = localState.draftState;
-  const isBDCrushers = localState.myTeamName === 'BD Crushers';
 
-  if (!isBDCrushers || !elements.pauseResumeBtn) {
+  if (!isCommissioner() || !elements.pauseResumeBtn) {
     if (elements.pauseResumeBtn) elements.pauseResumeBtn.style.display = 'none';
     return;
   }
@@ -416,18 +1160,23 @@ function renderDraftTicker() {
     const isCurrent = i === state.currentPickIndex;
     const isMe = team.id === localState.myTeamId;
     const pickNum = i + 1;
-    const round = Math.floor(i / state.teams.length) + 1;
+    const round = getPickRound(i) + 1;
+    const madePick = state.picks.find(p => p.pickNumber === pickNum);
+    const madeTitle = madePick ? (madePick.keeper ? 'Used on a keeper' : 'Already made') : '';
 
     html += `
-      <div class="ticker-pick ${isCurrent ? 'current' : ''} ${isMe ? 'my-pick' : ''}">
-        <span class="ticker-round">R${round}</span>
+      <div class="ticker-pick ${isCurrent ? 'current' : ''} ${isMe ? 'my-pick' : ''} ${madePick ? 'keeper' : ''}" ${madeTitle ? `title="${madeTitle}"` : ''}>
+        ${isAuctionDraft() ? '' : `<span class="ticker-round">R${round}</span>`}
         <span class="ticker-num">#${pickNum}</span>
-        <span class="ticker-team">${escapeHtml(team.name)}</span>
+        <span class="ticker-team">${renderPresenceDot(team.presence)}${escapeHtml(team.name)}</span>
+        ${renderPickVia(getTradedPickOrigin(pickNum), 'ticker-via')}
+        ${isCurrent ? '<span id="ticker-clock" class="ticker-clock"></span>' : ''}
       </div>
     `;
   }
 
   elements.draftTicker.innerHTML = html;
+  updatePickClock();
 }
 
 function renderTeamsRosters() {
@@ -435,36 +1184,227 @@ function renderTeamsRosters() {
 
   let html = state.teams.map(team => {
     const isMe = team.id === localState.myTeamId;
-    const totalPlayers = team.roster.QB.length + team.roster.RB.length +
-                         team.roster.WR_TE.length + team.roster.K.length;
+    const totalPlayers = getRosterPlayers(team).length;
 
     return `
       <div class="team-summary ${isMe ? 'my-team' : ''}" onclick="toggleTeamDetail('${team.id}')">
         <div class="team-header">
-          <span class="team-name">${escapeHtml(team.name)}${isMe ? ' (You)' : ''}</span>
-          <span class="team-count">${totalPlayers}/7</span>
+          <span class="team-name">${renderPresenceDot(team.presence)}${escapeHtml(team.name)}${isMe ? ' (You)' : ''}${renderCommissionerBadge(team)}${team.autodraft ? ' <span class="auto-badge" title="Autodraft on">Auto</span>' : ''}</span>
+          <span class="team-count">${totalPlayers}/${getRosterSize()}${isAuctionDraft() ? ` · $${team.budget}` : ''}${renderPlayersRemaining(team)}</span>
         </div>
         <div id="team-detail-${team.id}" class="team-detail" style="display: none;">
           ${renderMiniRoster(team)}
+          ${renderCommissionerActions(team)}
         </div>
       </div>
     `;
   }).join('');
 
   elements.teamsRosterList.innerHTML = html;
+  renderWatchers(elements.draftWatchers);
+}
+
+// Status dot for a team or watcher, with when they were last around in the tooltip
+function renderPresenceDot(presence) {
+  if (!presence) return '';
+  const since = presence.lastSeen
+    ? new Date(presence.lastSeen).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+  const labels = {
+    online: 'Online',
+    idle: since ? `Idle since ${since}` : 'Idle',
+    offline: since ? `Offline, last seen ${since}` : 'Offline'
+  };
+  return `<span class="presence-dot presence-${presence.status}" title="${labels[presence.status]}"></span>`;
+}
+
+function renderWatchers(container) {
+  const { watchers } = localState.draftState;
+  if (watchers.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = 'block';
+  container.innerHTML = 'Watching: ' + watchers
+    .map(w => `<span class="watcher-name">${renderPresenceDot(w.presence)}${escapeHtml(w.name)}</span>`)
+    .join(', ');
 }
 
 function renderMiniRoster(team) {
   return `
     <div class="mini-roster">
-      <div class="position-row"><strong>QB:</strong> ${team.roster.QB.map(p => p.name).join(', ') || '-'}</div>
-      <div class="position-row"><strong>RB:</strong> ${team.roster.RB.map(p => p.name).join(', ') || '-'}</div>
-      <div class="position-row"><strong>WR/TE:</strong> ${team.roster.WR_TE.map(p => p.name).join(', ') || '-'}</div>
-      <div class="position-row"><strong>K:</strong> ${team.roster.K.map(p => p.name).join(', ') || '-'}</div>
+      ${getRosterSlots().map(slot => `
+        <div class="position-row"><strong>${slot.label}:</strong> ${team.roster[slot.id].map(p => renderPlayerName(p)).join(', ') || '-'}</div>
+      `).join('')}
     </div>
   `;
 }
 
+// Draft board grid: a column per team in first-round order and a row per round. A pick sits in the
+// column of the team it originally belonged to, so traded picks stay in place (marked with the new
+// owner). Auctions have no rounds, so each column lists the team's players in the order they were won.
+function renderDraftBoard(container) {
+  const state = localState.draftState;
+  const teamIds = state.orderSetup.teamIds;
+  const rounds = getRosterSize();
+  const cells = teamIds.map(() => Array.from({ length: rounds }, () => []));
+
+  if (isAuctionDraft()) {
+    state.picks.forEach(pick => {
+      const column = teamIds.indexOf(pick.teamId);
+      const row = cells[column] ? cells[column].findIndex(cell => cell.length === 0) : -1;
+      if (row !== -1) cells[column][row].push({ pickNumber: pick.pickNumber, pick });
+    });
+  } else {
+    state.draftOrder.forEach((teamId, index) => {
+      const pickNumber = index + 1;
+      const column = teamIds.indexOf(getTradedPickOrigin(pickNumber) || teamId);
+      const row = getPickRound(index);
+      if (column === -1 || row >= rounds) return;
+      cells[column][row].push({ pickNumber, ownerId: teamId, pick: state.picks.find(p => p.pickNumber === pickNumber) });
+    });
+  }
+
+  const renderCell = ({ pickNumber, ownerId, pick }, columnTeamId) => {
+    const player = pick ? findAnyPlayer(pick.playerId) : null;
+    const isCurrent = !pick && state.phase === 'drafting' && pickNumber === state.currentPickIndex + 1;
+    const owner = ownerId && ownerId !== columnTeamId ? findTeamById(ownerId) : null;
+    if (!player) {
+      return `
+        <div class="board-pick empty ${isCurrent ? 'current' : ''}">
+          <span class="board-pick-num">#${pickNumber}</span>
+          ${owner ? `<span class="board-pick-owner">→ ${escapeHtml(owner.name)}</span>` : ''}
+        </div>
+      `;
+    }
+    return `
+      <div class="board-pick" data-position="${player.position}" title="${escapeHtml(`#${pickNumber} ${player.name}, ${player.position} ${player.team}`)}">
+        <span class="board-pick-num">#${pickNumber}${pick.keeper ? ' · Keeper' : ''}${pick.price !== undefined ? ` · $${pick.price}` : ''}</span>
+        <span class="board-pick-name">${renderPlayerName(player)}</span>
+        <span class="board-pick-meta">${player.position} · ${player.team}</span>
+        ${owner ? `<span class="board-pick-owner">→ ${escapeHtml(owner.name)}</span>` : ''}
+      </div>
+    `;
+  };
+
+  container.style.gridTemplateColumns = `2.5rem repeat(${teamIds.length}, minmax(7.5rem, 1fr))`;
+  container.innerHTML = `
+    <div class="board-corner"></div>
+    ${teamIds.map(id => {
+      const team = findTeamById(id);
+      return `<div class="board-team ${id === localState.myTeamId ? 'my-team' : ''}">${team ? escapeHtml(team.name) : '?'}</div>`;
+    }).join('')}
+    ${Array.from({ length: rounds }, (_, row) => `
+      <div class="board-round">${isAuctionDraft() ? row + 1 : `R${row + 1}`}</div>
+      ${teamIds.map((id, column) => `
+        <div class="board-cell">
+          ${cells[column][row].map(entry => renderCell(entry, id)).join('')}
+        </div>
+      `).join('')}
+    `).join('')}
+  `;
+}
+
+// Draft view: swap the players view for the board and back
+function toggleDraftBoard() {
+  localState.showDraftBoard = !localState.showDraftBoard;
+  renderDraftBoardToggle();
+}
+
+function renderDraftBoardToggle() {
+  const show = localState.showDraftBoard;
+  elements.draftBoardPanel.style.display = show ? 'block' : 'none';
+  elements.draftMain.style.display = show ? 'none' : '';
+  elements.boardToggleButton.textContent = show ? 'Players' : 'Board';
+  if (show) renderDraftBoard(elements.draftBoard);
+}
+
+// Full screen for putting the board up on a projector or TV
+function toggleBoardFullscreen(panelId) {
+  if (document.fullscreenElement) {
+    document.exitFullscreen();
+  } else {
+    document.getElementById(panelId).requestFullscreen()
+      .catch(err => showNotification(`Full screen isn't available: ${err.message}`));
+  }
+}
+
+// Players a fantasy team holds from each NFL team: { KC: 3, BUF: 1, ... }
+function getNflExposure(team) {
+  const exposure = {};
+  getRosterPlayers(team).forEach(p => {
+    exposure[p.team] = (exposure[p.team] || 0) + 1;
+  });
+  return exposure;
+}
+
+// NFL team an NFL team plays next in the bracket, once both sides of the game are known
+function getNextOpponent(nflTeam) {
+  const game = localState.draftState.bracket.games.find(g =>
+    !g.winner && g.home && g.away && (g.home === nflTeam || g.away === nflTeam)
+  );
+  if (!game) return null;
+  return game.home === nflTeam ? game.away : game.home;
+}
+
+// Player card badges against your roster: a stack adds to an NFL team you already hold (more
+// upside if they go deep), a hedge is on the team your players face next (one side advances either way)
+function renderStackBadges(player, myExposure) {
+  const badges = [];
+  const stacked = myExposure[player.team] || 0;
+  if (stacked > 0) {
+    badges.push(`<span class="stack-badge" title="You have ${stacked} ${player.team} player${stacked === 1 ? '' : 's'}; this would make ${stacked + 1}">Stack ${player.team} ×${stacked + 1}</span>`);
+  }
+  const opponent = getNextOpponent(player.team);
+  const hedged = opponent ? myExposure[opponent] || 0 : 0;
+  if (hedged > 0) {
+    badges.push(`<span class="hedge-badge" title="${player.team} plays ${opponent} next; you have ${hedged} ${opponent} player${hedged === 1 ? '' : 's'}">Hedge vs ${opponent}</span>`);
+  }
+  return badges.join('');
+}
+
+// League-wide players drafted from each NFL team, and each fantasy team's holdings
+function renderExposure() {
+  const state = localState.draftState;
+  const byTeam = state.teams.map(team => ({ team, exposure: getNflExposure(team) }));
+
+  const league = {};
+  byTeam.forEach(({ exposure }) => {
+    Object.entries(exposure).forEach(([nflTeam, count]) => {
+      league[nflTeam] = (league[nflTeam] || 0) + count;
+    });
+  });
+  const sortCounts = counts => Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const leagueCounts = sortCounts(league);
+
+  if (leagueCounts.length === 0) {
+    elements.leagueExposure.innerHTML = '<p class="no-picks">No players drafted yet</p>';
+    elements.teamExposure.innerHTML = '';
+    return;
+  }
+
+  const eliminated = state.bracket.eliminatedTeams;
+  const most = leagueCounts[0][1];
+  elements.leagueExposure.innerHTML = leagueCounts.map(([nflTeam, count]) => `
+    <div class="exposure-row ${eliminated.includes(nflTeam) ? 'eliminated' : ''}" title="${count} ${nflTeam} player${count === 1 ? '' : 's'} drafted">
+      <span class="exposure-team">${nflTeam}</span>
+      <span class="exposure-bar"><span style="width: ${Math.round(count / most * 100)}%"></span></span>
+      <span class="exposure-count">${count}</span>
+    </div>
+  `).join('');
+
+  elements.teamExposure.innerHTML = byTeam.map(({ team, exposure }) => `
+    <div class="team-exposure-row ${team.id === localState.myTeamId ? 'my-team' : ''}">
+      <span class="team-exposure-name">${escapeHtml(team.name)}</span>
+      <span class="team-exposure-chips">
+        ${sortCounts(exposure).map(([nflTeam, count]) => `
+          <span class="exposure-chip ${eliminated.includes(nflTeam) ? 'eliminated' : ''}">${nflTeam} ${count}</span>
+        `).join('') || '<span class="no-picks">-</span>'}
+      </span>
+    </div>
+  `).join('');
+}
+
 function toggleTeamDetail(teamId) {
   const detail = document.getElementById(`team-detail-${teamId}`);
   if (detail) {
@@ -473,7 +1413,11 @@ function toggleTeamDetail(teamId) {
 }
 
 function renderPlayersGrid() {
+  renderSortHeaders();
   const players = filterPlayers();
+  // With rankings imported the grid becomes a list, one player per row, so the ranking columns line up under their headers
+  const ranked = !!localState.draftState.rankingsImport;
+  elements.playersGrid.classList.toggle('ranked', ranked);
 
   if (players.length === 0) {
     elements.playersGrid.innerHTML = '';
@@ -487,32 +1431,64 @@ function renderPlayersGrid() {
   const currentPicker = getCurrentPicker();
   const isMyTurn = currentPicker && currentPicker.id === localState.myTeamId;
   const myTeam = findTeamById(localState.myTeamId);
+  const myExposure = myTeam ? getNflExposure(myTeam) : null;
   const isPaused = state.paused;
 
+  const replacingPick = isPaused && isCommissioner() ? localState.replacingPick : null;
+  const pickForTeam = !replacingPick && localState.commishPickTeamId ? findTeamById(localState.commishPickTeamId) : null;
+
   const html = players.map(player => {
-    const canDraft = !isPaused && isMyTurn && myTeam && canDraftPosition(myTeam, player.position);
-    const errorMsg = isPaused ? 'Draft is paused' : getCannotDraftReason(player, isMyTurn, myTeam);
+    const canDraft = replacingPick ||
+                     (pickForTeam ? canDraftPosition(pickForTeam, player.position)
+                                  : !isPaused && !state.lot && isMyTurn && myTeam && canDraftPosition(myTeam, player.position));
+    const errorMsg = replacingPick ? null
+      : pickForTeam ? (canDraft ? null : `${pickForTeam.name} has no open ${player.position} slot`)
+      : isPaused ? 'Draft is paused' : getCannotDraftReason(player, isMyTurn, myTeam);
     const positionFilled = myTeam && !canDraftPosition(myTeam, player.position);
+    const isQueued = localState.myQueue.includes(player.id);
 
     return `
-      <div class="player-card ${positionFilled ? 'position-filled' : ''}" data-position="${player.position}">
+      <div class="player-card ${positionFilled ? 'position-filled' : ''} ${isEliminated(player) ? 'eliminated' : ''} ${player.tier ? `tier-${player.tier % 2 ? 'odd' : 'even'}` : ''}" data-position="${player.position}">
+        ${ranked ? renderRankingColumns(player) : ''}
         <div class="player-info">
           <div class="player-name">${escapeHtml(player.name)}</div>
           <div class="player-details">
             <span class="position-badge position-${player.position}">${player.position}</span>
             <span class="team-abbr">${player.team}</span>
+            ${player.tier ? `<span class="tier-badge" title="Tier ${player.tier}">T${player.tier}</span>` : ''}
+            ${renderStatusBadge(player)}
+            ${isEliminated(player) ? `<span class="elim-badge" title="${player.team} is out of the playoffs">ELIM</span>` : ''}
+            ${myExposure ? renderStackBadges(player, myExposure) : ''}
             ${positionFilled ? '<span class="filled-indicator">FILLED</span>' : ''}
           </div>
         </div>
-        <button
-          class="draft-btn"
-          data-player-id="${player.id}"
-          ${!canDraft ? 'disabled' : ''}
-          title="${errorMsg || 'Draft this player'}"
-          onclick="draftPlayer('${player.id}')"
-        >
-          Draft
-        </button>
+        <div class="player-actions">
+          ${isCommissioner() ? `
+            <button
+              class="status-btn"
+              title="Set injury status"
+              onclick="setPlayerStatus('${player.id}')"
+            >✚</button>
+          ` : ''}
+          ${myTeam ? `
+            <button
+              class="queue-btn ${isQueued ? 'queued' : ''}"
+              title="${isQueued ? 'Remove from your queue' : 'Add to your queue'}"
+              onclick="toggleQueue('${player.id}')"
+            >${isQueued ? '★' : '☆'}</button>
+          ` : ''}
+          <button
+            class="draft-btn"
+            data-player-id="${player.id}"
+            ${!canDraft ? 'disabled' : ''}
+            title="${escapeHtml(errorMsg || (replacingPick ? `Use this player for pick #${replacingPick}`
+              : pickForTeam ? `Draft this player for ${pickForTeam.name}`
+              : isAuctionDraft() ? 'Nominate this player' : 'Draft this player'))}"
+            onclick="draftPlayer('${player.id}')"
+          >
+            ${replacingPick ? `Use for #${replacingPick}` : pickForTeam ? 'Enter Pick' : isAuctionDraft() ? 'Nominate' : 'Draft'}
+          </button>
+        </div>
       </div>
     `;
   }).join('');
@@ -528,15 +1504,20 @@ function filterPlayers() {
     players = players.filter(p => p.position === localState.selectedPosition);
   }
 
+  // Hide players who won't play
+  if (localState.hideInjured) {
+    players = players.filter(p => !isInjuredOut(p) && !isEliminated(p));
+  }
+
   // Filter by search query
   if (localState.searchQuery.trim() !== '') {
     const query = localState.searchQuery.toLowerCase();
     players = players.filter(p => p.searchText.includes(query));
   }
 
-  // Sort by position then last name
-  const posOrder = { QB: 1, RB: 2, WR: 3, TE: 4, K: 5 };
-  players.sort((a, b) => {
+  // Sort by the chosen column (unranked players last), falling back to position then last name
+  const posOrder = { QB: 1, RB: 2, WR: 3, TE: 4, K: 5, DST: 6 };
+  const byPosition = (a, b) => {
     if (posOrder[a.position] !== posOrder[b.position]) {
       return posOrder[a.position] - posOrder[b.position];
     }
@@ -544,36 +1525,152 @@ function filterPlayers() {
     const aLastName = a.name.split(' ').pop();
     const bLastName = b.name.split(' ').pop();
     return aLastName.localeCompare(bLastName);
+  };
+  const sortKey = getPlayerSortKey();
+  const direction = localState.sortDescending ? -1 : 1;
+  players = players.slice().sort((a, b) => {
+    if (sortKey === 'position') return direction * byPosition(a, b);
+    if (sortKey === 'name') return direction * a.name.localeCompare(b.name);
+
+    const aValue = a[sortKey];
+    const bValue = b[sortKey];
+    const aMissing = aValue === undefined || aValue === null;
+    const bMissing = bValue === undefined || bValue === null;
+    if (aMissing || bMissing) return (aMissing - bMissing) || byPosition(a, b);
+    return direction * (aValue - bValue) || byPosition(a, b);
   });
 
   return players;
 }
 
-function canDraftPosition(team, position) {
-  const limits = { QB: 1, RB: 2, WR_TE: 3, K: 1 };
-
-  if (position === 'QB') return team.roster.QB.length < limits.QB;
-  if (position === 'RB') return team.roster.RB.length < limits.RB;
-  if (position === 'WR' || position === 'TE') return team.roster.WR_TE.length < limits.WR_TE;
-  if (position === 'K') return team.roster.K.length < limits.K;
-
-  return false;
+// Active sort column: ranked boards default to overall rank
+function getPlayerSortKey() {
+  if (localState.sortKey) return localState.sortKey;
+  return localState.draftState && localState.draftState.rankingsImport ? 'rank' : 'position';
 }
 
-function getCannotDraftReason(player, isMyTurn, myTeam) {
-  if (!isMyTurn) return 'Not your turn';
-  if (!myTeam) return 'You are not in the draft';
-  if (!canDraftPosition(myTeam, player.position)) {
-    return `You've filled your ${player.position} slots`;
+function handleSortClick(sortKey) {
+  if (getPlayerSortKey() === sortKey) {
+    localState.sortDescending = !localState.sortDescending;
+  } else {
+    // Bigger is better for points and games; smaller is better for ranks
+    localState.sortDescending = sortKey === 'projPoints' || sortKey === 'playoffGames';
   }
-  return '';
+  localState.sortKey = sortKey;
+  renderPlayersGrid();
 }
 
-function renderYourRoster() {
-  const myTeam = findTeamById(localState.myTeamId);
+function renderSortHeaders() {
+  const hasRankings = !!localState.draftState.rankingsImport;
+  const sortKey = getPlayerSortKey();
+  elements.playerColumns.classList.toggle('ranked', hasRankings);
+  elements.playerColumns.querySelectorAll('.sort-header').forEach(btn => {
+    btn.style.display = btn.classList.contains('ranking-sort') && !hasRankings ? 'none' : '';
+    const active = btn.dataset.sort === sortKey;
+    btn.classList.toggle('active', active);
+    btn.dataset.direction = active ? (localState.sortDescending ? 'desc' : 'asc') : '';
+  });
+}
 
-  if (!myTeam) {
-    if (localState.isWatcher) {
+// Rank, positional rank, projection and playoff games cells, under the grid's ranking column headers
+function renderRankingColumns(player) {
+  const ranked = player.rank !== undefined;
+  const cells = [
+    ranked ? `#${player.rank}` : '-',
+    ranked ? `${player.position}${player.posRank}` : '-',
+    ranked && player.projPoints !== null ? player.projPoints : '-',
+    ranked && player.playoffGames !== null ? player.playoffGames : '-'
+  ];
+  return cells.map(cell => `<span class="rank-cell">${cell}</span>`).join('');
+}
+
+// Players whose NFL team has been knocked out of the playoffs
+function isEliminated(player) {
+  return localState.draftState.bracket.eliminatedTeams.includes(player.team);
+}
+
+// A rostered player's name, struck through once their NFL team is eliminated
+function renderPlayerName(player) {
+  return isEliminated(player)
+    ? `<span class="eliminated-player" title="${player.team} is out of the playoffs">${escapeHtml(player.name)}</span>`
+    : escapeHtml(player.name);
+}
+
+// " · 5 alive" once any NFL team is out: how many of a fantasy team's players can still score
+function renderPlayersRemaining(team) {
+  if (localState.draftState.bracket.eliminatedTeams.length === 0) return '';
+  const players = getRosterPlayers(team);
+  const alive = players.filter(p => !isEliminated(p)).length;
+  return ` <span class="players-remaining" title="${alive} of ${players.length} players' NFL teams still alive">· ${alive} alive</span>`;
+}
+
+// Out and IR players won't play; the server's auto-pick passes over them too
+function isInjuredOut(player) {
+  return player.status === 'Out' || player.status === 'IR';
+}
+
+// Injury designation badge (Q, D, OUT, IR), with the commissioner's note as its tooltip
+function renderStatusBadge(player) {
+  if (!player.status || player.status === 'Active') return '';
+  const label = { Questionable: 'Q', Doubtful: 'D', Out: 'OUT', IR: 'IR' }[player.status];
+  const title = player.statusNote ? `${player.status}: ${player.statusNote}` : player.status;
+  return `<span class="status-badge status-${player.status.toLowerCase()}" title="${escapeHtml(title)}">${label}</span>`;
+}
+
+function handleHideInjuredToggle(e) {
+  localState.hideInjured = e.target.checked;
+  renderPlayersGrid();
+}
+
+// Commissioners: mark a player Questionable, Doubtful, Out, IR or back to Active
+function setPlayerStatus(playerId) {
+  const player = localState.availablePlayers.find(p => p.id === playerId);
+  if (!player) return;
+
+  const statuses = localState.draftState.playerStatuses;
+  const input = prompt(`Status for ${player.name} (${statuses.join(', ')}):`, player.status || 'Active');
+  if (input === null) return;
+  const status = statuses.find(s => s.toLowerCase() === input.trim().toLowerCase());
+  if (!status) {
+    showNotification(`Status must be one of ${statuses.join(', ')}`);
+    return;
+  }
+
+  let note = '';
+  if (status !== 'Active') {
+    note = prompt('Note (optional, e.g. "hamstring, limited practice"):', player.statusNote || '');
+    if (note === null) return;
+  }
+
+  socket.emit('set-player-status', { playerId, status, note });
+}
+
+// Mirrors the server: a position is draftable if any slot that takes it has room
+function canDraftPosition(team, position) {
+  return getRosterSlots().some(slot =>
+    slot.positions.includes(position) && team.roster[slot.id].length < slot.count
+  );
+}
+
+function getCannotDraftReason(player, isMyTurn, myTeam) {
+  if (localState.draftState.lot) return 'Bidding in progress';
+  if (!isMyTurn) return 'Not your turn';
+  if (!myTeam) return 'You are not in the draft';
+  if (!canDraftPosition(myTeam, player.position)) {
+    return `No open roster slots for a ${player.position}`;
+  }
+  return '';
+}
+
+function renderYourRoster() {
+  const myTeam = findTeamById(localState.myTeamId);
+
+  elements.autodraftToggle.style.display = myTeam ? 'flex' : 'none';
+  elements.autodraftToggle.classList.toggle('active', !!(myTeam && myTeam.autodraft));
+  elements.autodraftCheckbox.checked = !!(myTeam && myTeam.autodraft);
+
+  if (!myTeam) {
+    if (localState.isWatcher) {
       elements.yourRoster.innerHTML = '<p class="watcher-notice">Watching as spectator</p>';
     } else {
       elements.yourRoster.innerHTML = '<p>Not in draft</p>';
@@ -583,31 +1680,61 @@ function renderYourRoster() {
 
   elements.yourRoster.innerHTML = `
     <div class="roster-section">
-      <div class="position-group">
-        <h3>QB (${myTeam.roster.QB.length}/1)</h3>
-        ${myTeam.roster.QB.map(p => renderRosterPlayer(p)).join('') || '<div class="empty-slot">Empty</div>'}
-      </div>
-      <div class="position-group">
-        <h3>RB (${myTeam.roster.RB.length}/2)</h3>
-        ${myTeam.roster.RB.map(p => renderRosterPlayer(p)).join('') || '<div class="empty-slot">Empty</div>'}
-      </div>
-      <div class="position-group">
-        <h3>WR/TE (${myTeam.roster.WR_TE.length}/3)</h3>
-        ${myTeam.roster.WR_TE.map(p => renderRosterPlayer(p)).join('') || '<div class="empty-slot">Empty</div>'}
-      </div>
-      <div class="position-group">
-        <h3>K (${myTeam.roster.K.length}/1)</h3>
-        ${myTeam.roster.K.map(p => renderRosterPlayer(p)).join('') || '<div class="empty-slot">Empty</div>'}
-      </div>
+      ${getRosterSlots().map(slot => `
+        <div class="position-group" data-position="${getSlotColorPosition(slot)}">
+          <h3>${slot.label} (${myTeam.roster[slot.id].length}/${slot.count})</h3>
+          ${myTeam.roster[slot.id].map(p => renderRosterPlayer(p)).join('') || '<div class="empty-slot">Empty</div>'}
+        </div>
+      `).join('')}
     </div>
   `;
 }
 
+function renderQueue() {
+  const myTeam = findTeamById(localState.myTeamId);
+  if (!myTeam) {
+    elements.queueSection.style.display = 'none';
+    return;
+  }
+
+  elements.queueSection.style.display = 'block';
+
+  // Drafted players are pruned by the server, so everything queued is still available
+  const queued = localState.myQueue
+    .map(id => localState.availablePlayers.find(p => p.id === id))
+    .filter(Boolean);
+
+  if (queued.length === 0) {
+    elements.queueList.innerHTML = '<li class="no-picks">Star players to line them up here</li>';
+    return;
+  }
+
+  const currentPicker = getCurrentPicker();
+  const isMyTurn = currentPicker && currentPicker.id === myTeam.id &&
+                   !localState.draftState.paused && !localState.draftState.lot;
+
+  elements.queueList.innerHTML = queued.map((player, index) => {
+    const canDraft = isMyTurn && canDraftPosition(myTeam, player.position);
+    return `
+      <li class="queue-item ${canDraftPosition(myTeam, player.position) ? '' : 'position-filled'}" draggable="true" data-index="${index}">
+        <span class="queue-handle" title="Drag to reorder">⋮⋮</span>
+        <span class="queue-rank">${index + 1}</span>
+        <span class="queue-player">
+          ${escapeHtml(player.name)}
+          <span class="position-badge position-${player.position}">${player.position}</span>
+        </span>
+        ${canDraft ? `<button class="queue-draft-btn" onclick="draftPlayer('${player.id}')">${isAuctionDraft() ? 'Nominate' : 'Draft'}</button>` : ''}
+        <button class="queue-remove-btn" onclick="toggleQueue('${player.id}')" title="Remove from queue">×</button>
+      </li>
+    `;
+  }).join('');
+}
+
 function renderRosterPlayer(player) {
   return `
     <div class="roster-player">
-      <span class="roster-player-name">${escapeHtml(player.name)}</span>
-      <span class="roster-player-team">${player.team}</span>
+      <span class="roster-player-name">${renderPlayerName(player)}${player.keeper ? ' <span class="keeper-badge" title="Keeper">K</span>' : ''}</span>
+      <span class="roster-player-team">${player.team}${player.price !== undefined ? ` · $${player.price}` : ''}</span>
     </div>
   `;
 }
@@ -615,8 +1742,10 @@ function renderRosterPlayer(player) {
 function renderRecentPicks() {
   const state = localState.draftState;
   const recentPicks = state.picks.slice(-10).reverse();
-  const isBDCrushers = localState.myTeamName === 'BD Crushers';
-  const showUndo = isBDCrushers && state.paused;
+  const showEdit = isCommissioner() && state.paused && state.phase === 'drafting';
+  if (!showEdit) {
+    localState.replacingPick = null;
+  }
 
   if (recentPicks.length === 0) {
     elements.recentPicksList.innerHTML = '<li class="no-picks">No picks yet</li>';
@@ -634,9 +1763,16 @@ function renderRecentPicks() {
       <li class="recent-pick">
         <span class="pick-number">#${pick.pickNumber}</span>
         <span class="pick-info">
-          <strong>${escapeHtml(team.name)}</strong> - ${escapeHtml(player.name)} (${player.position})
+          <strong>${escapeHtml(team.name)}</strong> - ${escapeHtml(player.name)} (${player.position})${pick.price !== undefined ? ` $${pick.price}` : ''}
+          ${pick.autoPick ? '<span class="auto-badge" title="Picked automatically">Auto</span>' : ''}
+          ${pick.enteredBy ? `<span class="auto-badge" title="Entered by ${escapeHtml(pick.enteredBy)}">Commish</span>` : ''}
+          ${pick.keeper ? '<span class="keeper-badge" title="Keeper">Keeper</span>' : ''}
+          ${renderPickVia(pick.viaTeamId, 'pick-via')}
         </span>
-        ${showUndo ? `<button class="undo-pick-btn" onclick="undoPick(${pick.pickNumber})" title="Undo this pick">×</button>` : ''}
+        ${showEdit && !pick.keeper ? `
+          <button class="row-action-btn replace ${localState.replacingPick === pick.pickNumber ? 'active' : ''}" onclick="toggleReplacePick(${pick.pickNumber})" title="Pick a different player">⇄</button>
+          <button class="row-action-btn" onclick="rewindToPick(${pick.pickNumber})" title="Rewind the draft to this pick">↺</button>
+        ` : ''}
       </li>
     `;
   }).join('');
@@ -644,13 +1780,171 @@ function renderRecentPicks() {
   elements.recentPicksList.innerHTML = html;
 }
 
+// Trades: offers involving this team, trades waiting on a commissioner, and recent completed trades
+function renderTrades() {
+  const state = localState.draftState;
+  const me = localState.myTeamId;
+  const commissioner = isCommissioner();
+
+  if (isAuctionDraft() || (!me && !commissioner)) {
+    elements.tradesSection.style.display = 'none';
+    return;
+  }
+
+  elements.tradesSection.style.display = 'block';
+  elements.proposeTradeButton.style.display = me ? 'inline-block' : 'none';
+
+  const teamName = id => {
+    const team = findTeamById(id);
+    return escapeHtml(team ? team.name : 'Unknown');
+  };
+
+  const visible = state.trades.filter(t =>
+    ((t.status === 'proposed' || t.status === 'awaiting-approval') && (t.fromTeamId === me || t.toTeamId === me)) ||
+    (t.status === 'awaiting-approval' && commissioner)
+  );
+  const completed = state.trades.filter(t => t.status === 'completed').slice(-5).reverse();
+
+  if (visible.length === 0 && completed.length === 0) {
+    elements.tradesList.innerHTML = '<li class="no-picks">No trades yet</li>';
+    return;
+  }
+
+  elements.tradesList.innerHTML = visible.concat(completed).map(trade => {
+    let actions = '';
+    if (trade.status === 'proposed' && trade.toTeamId === me) {
+      actions = `
+        <button class="commish-action-btn" onclick="respondTrade('${trade.id}', true)">Accept</button>
+        <button class="commish-action-btn" onclick="respondTrade('${trade.id}', false)">Reject</button>
+      `;
+    } else if (trade.status === 'awaiting-approval' && commissioner) {
+      actions = `
+        <button class="commish-action-btn" onclick="reviewTrade('${trade.id}', true)">Approve</button>
+        <button class="commish-action-btn" onclick="reviewTrade('${trade.id}', false)">Veto</button>
+      `;
+    }
+    if ((trade.status === 'proposed' || trade.status === 'awaiting-approval') && trade.fromTeamId === me) {
+      actions += `<button class="commish-action-btn" onclick="cancelTrade('${trade.id}')">Cancel</button>`;
+    }
+
+    const statusLabels = {
+      proposed: trade.toTeamId === me ? 'Offer for you' : 'Offer sent',
+      'awaiting-approval': 'Waiting for commissioner',
+      completed: 'Completed'
+    };
+
+    return `
+      <li class="trade-item trade-${trade.status}">
+        <div class="trade-status">${statusLabels[trade.status]}</div>
+        <div><strong>${teamName(trade.fromTeamId)}</strong> gives ${describeTradeSide(trade.give)}</div>
+        <div><strong>${teamName(trade.toTeamId)}</strong> gives ${describeTradeSide(trade.get)}</div>
+        ${actions ? `<div class="trade-actions">${actions}</div>` : ''}
+      </li>
+    `;
+  }).join('');
+}
+
+function describeTradeSide(side) {
+  const picks = side.picks.map(n => `#${n} (R${getPickRound(n - 1) + 1})`);
+  const players = side.players.map(id => {
+    const player = findAnyPlayer(id);
+    return escapeHtml(player ? player.name : 'Unknown');
+  });
+  return picks.concat(players).join(', ');
+}
+
+// Team a traded pick originally belonged to (mirrors the server), or null
+function getTradedPickOrigin(pickNumber) {
+  const trade = localState.draftState.trades.find(t =>
+    t.status === 'completed' && (t.give.picks.includes(pickNumber) || t.get.picks.includes(pickNumber))
+  );
+  if (!trade) return null;
+  return trade.give.picks.includes(pickNumber) ? trade.fromTeamId : trade.toTeamId;
+}
+
+function renderPickVia(teamId, className) {
+  const team = teamId ? findTeamById(teamId) : null;
+  return team ? `<span class="${className}">via ${escapeHtml(team.name)}</span>` : '';
+}
+
+// Trade builder: this team's and the chosen team's upcoming picks and players as checkboxes
+function openTradeModal() {
+  const state = localState.draftState;
+  elements.tradeTeamSelect.innerHTML = state.teams
+    .filter(t => t.id !== localState.myTeamId)
+    .map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`)
+    .join('');
+  renderTradeOptions();
+  elements.tradeModal.style.display = 'flex';
+}
+
+function closeTradeModal() {
+  elements.tradeModal.style.display = 'none';
+}
+
+function renderTradeOptions() {
+  const state = localState.draftState;
+  const renderSide = (teamId, side) => {
+    const team = findTeamById(teamId);
+    if (!team) return '';
+
+    const picks = state.draftOrder
+      .map((id, index) => ({ id, index }))
+      .filter(({ id, index }) => id === teamId && index >= state.currentPickIndex &&
+                                 !state.picks.some(p => p.pickNumber === index + 1))
+      .map(({ index }) => `
+        <label class="trade-option">
+          <input type="checkbox" data-side="${side}" data-kind="picks" value="${index + 1}">
+          Pick #${index + 1} (Round ${getPickRound(index) + 1})
+        </label>
+      `);
+    const players = getRosterPlayers(team).map(p => `
+      <label class="trade-option">
+        <input type="checkbox" data-side="${side}" data-kind="players" value="${p.id}">
+        ${escapeHtml(p.name)} <span class="position-badge position-${p.position}">${p.position}</span>
+      </label>
+    `);
+    return picks.concat(players).join('') || '<p class="no-picks">Nothing to trade</p>';
+  };
+
+  elements.tradeGive.innerHTML = renderSide(localState.myTeamId, 'give');
+  elements.tradeGet.innerHTML = renderSide(elements.tradeTeamSelect.value, 'get');
+}
+
+function submitTrade() {
+  const collect = (side, kind) => Array.from(elements.tradeModal.querySelectorAll(`input[data-side="${side}"][data-kind="${kind}"]:checked`))
+    .map(input => (kind === 'picks' ? parseInt(input.value, 10) : input.value));
+
+  socket.emit('propose-trade', {
+    toTeamId: elements.tradeTeamSelect.value,
+    give: { picks: collect('give', 'picks'), players: collect('give', 'players') },
+    get: { picks: collect('get', 'picks'), players: collect('get', 'players') }
+  });
+  closeTradeModal();
+}
+
+function respondTrade(tradeId, accept) {
+  socket.emit('respond-trade', { tradeId, accept });
+}
+
+function cancelTrade(tradeId) {
+  socket.emit('cancel-trade', { tradeId });
+}
+
+function reviewTrade(tradeId, approve) {
+  socket.emit('review-trade', { tradeId, approve });
+}
+
+// A player whether still available or already on a roster
+function findAnyPlayer(playerId) {
+  return localState.availablePlayers.find(p => p.id === playerId) || findDraftedPlayer(playerId);
+}
+
 function findDraftedPlayer(playerId) {
   // Search through all team rosters
   for (const team of localState.draftState.teams) {
-    for (const pos of ['QB', 'RB', 'WR_TE', 'K']) {
-      const player = team.roster[pos].find(p => p.id === playerId);
-      if (player) return player;
-    }
+    const player = getRosterPlayers(team).find(p => p.id === playerId);
+    if (player) return player;
   }
   return null;
 }
@@ -664,32 +1958,293 @@ function renderCompleteView() {
 
     return `
       <div class="final-team ${isMe ? 'my-team' : ''}">
-        <h3>${escapeHtml(team.name)}${isMe ? ' (You)' : ''}</h3>
+        <h3>${escapeHtml(team.name)}${isMe ? ' (You)' : ''}${isAuctionDraft() ? ` <span class="final-budget">$${team.budget} left</span>` : ''}${renderPlayersRemaining(team)}</h3>
         <div class="final-roster">
-          <div class="final-position">
-            <strong>QB:</strong> ${team.roster.QB.map(p => `${p.name} (${p.team})`).join(', ')}
-          </div>
-          <div class="final-position">
-            <strong>RB:</strong> ${team.roster.RB.map(p => `${p.name} (${p.team})`).join(', ')}
-          </div>
-          <div class="final-position">
-            <strong>WR/TE:</strong> ${team.roster.WR_TE.map(p => `${p.name} (${p.team})`).join(', ')}
-          </div>
-          <div class="final-position">
-            <strong>K:</strong> ${team.roster.K.map(p => `${p.name} (${p.team})`).join(', ')}
-          </div>
+          ${getRosterSlots().map(slot => `
+            <div class="final-position">
+              <strong>${slot.label}:</strong> ${team.roster[slot.id].map(p => `${renderPlayerName(p)} (${p.team}${p.price !== undefined ? `, $${p.price}` : ''})`).join(', ')}
+            </div>
+          `).join('')}
         </div>
       </div>
     `;
   }).join('');
 
   elements.finalRosters.innerHTML = html;
+  renderDraftBoard(elements.completeBoard);
 
-  // Show download button only for BD Crushers
-  const isBDCrushers = localState.myTeamName === 'BD Crushers';
+  // Show download button only for commissioners
   if (elements.downloadResultsButton) {
-    elements.downloadResultsButton.style.display = isBDCrushers ? 'block' : 'none';
+    elements.downloadResultsButton.style.display = isCommissioner() ? 'block' : 'none';
+  }
+
+  if (localState.scoreboard) {
+    renderScoring();
+  } else {
+    fetchScores();
+  }
+}
+
+// Scoreboard: loaded once when the draft completes, then kept current by 'scores-updated'
+function fetchScores() {
+  fetch(`/api/scores?draft=${encodeURIComponent(localState.draftState.draftId)}`)
+    .then(res => res.json())
+    .then(scoreboard => {
+      localState.scoreboard = scoreboard;
+      renderScoring();
+    })
+    .catch(err => console.error('Error loading scores:', err));
+}
+
+// Scoring rules commissioners can edit (defense points-allowed tiers stay at their defaults)
+const SCORING_RULE_FIELDS = [
+  { field: 'passYdsPerPoint', label: 'Pass yds per pt' },
+  { field: 'passTd', label: 'Pass TD' },
+  { field: 'int', label: 'Int thrown' },
+  { field: 'rushYdsPerPoint', label: 'Rush yds per pt' },
+  { field: 'rushTd', label: 'Rush TD' },
+  { field: 'recYdsPerPoint', label: 'Rec yds per pt' },
+  { field: 'recTd', label: 'Rec TD' },
+  { field: 'twoPt', label: '2PT' },
+  { field: 'fumLost', label: 'Fumble lost' },
+  { field: 'longTdBonus', label: '40+ yd TD bonus' },
+  { field: 'fg0_39', label: 'FG 0-39' },
+  { field: 'fg40_49', label: 'FG 40-49' },
+  { field: 'fg50', label: 'FG 50+' },
+  { field: 'fgMiss', label: 'FG miss' },
+  { field: 'xp', label: 'XP' },
+  { field: 'sack', label: 'DST sack' },
+  { field: 'defInt', label: 'DST int' },
+  { field: 'fumRec', label: 'DST fum rec' },
+  { field: 'defTd', label: 'DST TD' },
+  { field: 'safety', label: 'DST safety' }
+];
+
+function formatPoints(points) {
+  return points.toFixed(2).replace(/\.?0+$/, '');
+}
+
+// Tell a manager where they stand when a new round's points come in
+function notifyNewScores(previous, scoreboard) {
+  if (!previous || !scoreboard.latestRoundId) return;
+  const latest = scoreboard.rounds.find(r => r.id === scoreboard.latestRoundId);
+  const before = previous.rounds.find(r => r.id === latest.id);
+  if (before.imported && before.imported.importedAt === latest.imported.importedAt) return;
+
+  const myTeam = scoreboard.teams.find(t => t.teamId === localState.myTeamId);
+  showNotification(myTeam
+    ? `${latest.label} points are in: you're #${myTeam.rank} with ${formatPoints(myTeam.total)}`
+    : `${latest.label} points are in`);
+}
+
+function renderScoring() {
+  renderLeaderboard();
+  renderScoringControls();
+}
+
+// Rank change since before the latest imported round
+function renderRankMovement(team) {
+  if (team.previousRank === null) return '';
+  const change = team.previousRank - team.rank;
+  if (change === 0) return '<span class="rank-move same" title="No change">–</span>';
+  return change > 0
+    ? `<span class="rank-move up" title="Up ${change} from #${team.previousRank}">▲${change}</span>`
+    : `<span class="rank-move down" title="Down ${-change} from #${team.previousRank}">▼${-change}</span>`;
+}
+
+// Standings, best first, with each round's points; click a team for its players' points
+function renderLeaderboard() {
+  const scoreboard = localState.scoreboard;
+  const rounds = scoreboard.rounds;
+  const anyImported = rounds.some(r => r.imported);
+
+  elements.leaderboard.innerHTML = `
+    ${anyImported ? '' : '<p class="settings-hint">No stats imported yet. Points appear here as each playoff week is imported.</p>'}
+    <table class="scoreboard-table">
+      <thead>
+        <tr>
+          <th class="score-rank">#</th>
+          <th>Team</th>
+          ${rounds.map(r => `<th class="${r.id === scoreboard.latestRoundId ? 'latest-round' : ''}" title="${escapeHtml(r.label)}">${r.id}</th>`).join('')}
+          <th>Total</th>
+          <th title="Players whose NFL team is still alive">Left</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${scoreboard.teams.map(team => {
+          const expanded = localState.expandedScoreTeamId === team.teamId;
+          return `
+            <tr class="score-team-row ${team.teamId === localState.myTeamId ? 'my-team' : ''}" onclick="toggleScoreTeam('${team.teamId}')">
+              <td class="score-rank">${team.rank} ${renderRankMovement(team)}</td>
+              <td>${expanded ? '▾' : '▸'} ${escapeHtml(team.name)}</td>
+              ${rounds.map(r => `<td class="${r.id === scoreboard.latestRoundId ? 'latest-round' : ''}">${formatPoints(team.byRound[r.id])}</td>`).join('')}
+              <td class="score-total">${formatPoints(team.total)}</td>
+              <td>${team.playersRemaining}/${team.players.length}</td>
+            </tr>
+            ${expanded ? team.players.slice().sort((a, b) => b.total - a.total).map(p => `
+              <tr class="score-player-row">
+                <td></td>
+                <td><span class="position-badge position-${p.position}">${p.position}</span> ${renderPlayerName(p)} <span class="team-abbr">${p.team}</span></td>
+                ${rounds.map(r => `<td class="${r.id === scoreboard.latestRoundId ? 'latest-round' : ''}">${formatPoints(p.byRound[r.id])}</td>`).join('')}
+                <td class="score-total">${formatPoints(p.total)}</td>
+                <td>${p.eliminated ? 'Out' : ''}</td>
+              </tr>
+            `).join('') : ''}
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Commissioners: stat imports and scoring rules
+function renderScoringControls() {
+  const scoreboard = localState.scoreboard;
+  const rounds = scoreboard.rounds;
+  const canEdit = isCommissioner();
+  elements.scoringSection.style.display = canEdit ? 'block' : 'none';
+  if (!canEdit) return;
+
+  // Keep the commissioner's chosen round; default to the first week without stats
+  const selectedRound = elements.statsRoundSelect.value || (rounds.find(r => !r.imported) || rounds[0]).id;
+  elements.statsRoundSelect.innerHTML = rounds.map(r => `
+    <option value="${r.id}" ${r.id === selectedRound ? 'selected' : ''}>${escapeHtml(r.label)}${r.imported ? ' ✓' : ''}</option>
+  `).join('');
+  renderStatsImportStatus();
+
+  // Don't wipe values the commissioner is in the middle of editing
+  if (elements.scoringRulesForm.contains(document.activeElement)) return;
+  const rules = scoreboard.rules;
+  elements.scoringRulesForm.innerHTML = `
+    <label class="scoring-rule">
+      <span>Receptions</span>
+      <select id="scoring-preset-select">
+        ${localState.draftState.scoringPresets.map(p => `
+          <option value="${p.id}" ${rules.preset === p.id ? 'selected' : ''}>${escapeHtml(p.label)} (${p.reception} per catch)</option>
+        `).join('')}
+        ${rules.preset === 'custom' ? `<option value="custom" selected>Custom (${rules.reception} per catch)</option>` : ''}
+      </select>
+    </label>
+    ${SCORING_RULE_FIELDS.map(({ field, label }) => `
+      <label class="scoring-rule">
+        <span>${label}</span>
+        <input type="number" step="0.5" data-rule="${field}" value="${rules[field]}">
+      </label>
+    `).join('')}
+  `;
+}
+
+function renderStatsImportStatus() {
+  const round = localState.scoreboard.rounds.find(r => r.id === elements.statsRoundSelect.value);
+  const summary = round && round.imported;
+  elements.clearStatsButton.style.display = summary ? 'inline-block' : 'none';
+  if (!summary) {
+    elements.statsImportStatus.textContent = `No ${round ? round.label : ''} stats imported.`;
+    return;
+  }
+  const unmatched = summary.unmatchedCount > 0
+    ? ` ${summary.unmatchedCount} line(s) didn't match a player: ${summary.unmatched.join(', ')}${summary.unmatchedCount > summary.unmatched.length ? ', ...' : ''}`
+    : '';
+  elements.statsImportStatus.textContent =
+    `${summary.matched} players scored for the ${round.label} round (imported ${new Date(summary.importedAt).toLocaleString()}).${unmatched}`;
+}
+
+// Playoff bracket: a column per round. Commissioners click a team to record it as the winner
+// (click the winner again to clear the result) and can set the seeds until a game is decided.
+function openBracketModal() {
+  renderBracket();
+  elements.bracketModal.style.display = 'flex';
+}
+
+function closeBracketModal() {
+  elements.bracketModal.style.display = 'none';
+}
+
+function renderBracket() {
+  const state = localState.draftState;
+  const { games, seeds } = state.bracket;
+  const canEdit = isCommissioner();
+
+  const renderTeam = (game, team, seed) => {
+    if (!team) return '<div class="bracket-team tbd">TBD</div>';
+    const result = game.winner ? (game.winner === team ? 'winner' : 'loser') : '';
+    const label = `${seed ? `<span class="bracket-seed">${seed}</span>` : ''}${team}`;
+    return canEdit && game.home && game.away
+      ? `<button class="bracket-team ${result}" onclick="setGameWinner('${game.id}', '${team}')"
+           title="${game.winner === team ? 'Clear this result' : `${team} won`}">${label}</button>`
+      : `<div class="bracket-team ${result}">${label}</div>`;
+  };
+
+  elements.bracket.innerHTML = state.playoffRounds.map(round => `
+    <div class="bracket-round">
+      <h3>${escapeHtml(round.label)}</h3>
+      ${games.filter(g => g.round === round.id).map(game => `
+        <div class="bracket-game">
+          ${game.conference ? `<span class="bracket-conference">${game.conference}</span>` : ''}
+          ${renderTeam(game, game.home, game.homeSeed)}
+          ${renderTeam(game, game.away, game.awaySeed)}
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+
+  const anyDecided = games.some(g => g.winner);
+  elements.bracketSeeds.innerHTML = canEdit && !anyDecided ? `
+    <p class="settings-hint">Seeds, top seed first (team abbreviations, separated by commas):</p>
+    ${Object.keys(seeds).map(conference => `
+      <div class="settings-row">
+        <label for="seeds-${conference}">${conference}</label>
+        <input type="text" id="seeds-${conference}" class="seeds-input" value="${seeds[conference].join(', ')}">
+        <button class="settings-btn" onclick="savePlayoffSeeds('${conference}')">Save</button>
+      </div>
+    `).join('')}
+  ` : '';
+}
+
+function setGameWinner(gameId, team) {
+  const game = localState.draftState.bracket.games.find(g => g.id === gameId);
+  socket.emit('set-game-winner', { gameId, winner: game && game.winner === team ? null : team });
+}
+
+function savePlayoffSeeds(conference) {
+  const teams = document.getElementById(`seeds-${conference}`).value.split(',').map(t => t.trim()).filter(Boolean);
+  socket.emit('set-playoff-seeds', { conference, teams });
+}
+
+function toggleScoreTeam(teamId) {
+  localState.expandedScoreTeamId = localState.expandedScoreTeamId === teamId ? null : teamId;
+  renderLeaderboard();
+}
+
+function handleImportStats() {
+  const file = elements.statsFileInput.files[0];
+  if (!file) {
+    alert('Choose a stats CSV or JSON file first');
+    return;
   }
+  const round = elements.statsRoundSelect.value;
+  const reader = new FileReader();
+  reader.onload = () => {
+    socket.emit('import-stats', { round, text: reader.result });
+    elements.statsFileInput.value = '';
+  };
+  reader.readAsText(file);
+}
+
+function handleClearStats() {
+  const round = localState.scoreboard.rounds.find(r => r.id === elements.statsRoundSelect.value);
+  if (!round || !confirm(`Remove the imported ${round.label} stats?`)) return;
+  socket.emit('clear-stats', { round: round.id });
+}
+
+function handleSaveScoring() {
+  const update = {};
+  const preset = document.getElementById('scoring-preset-select').value;
+  if (preset !== 'custom') update.preset = preset;
+  elements.scoringRulesForm.querySelectorAll('input[data-rule]').forEach(input => {
+    update[input.dataset.rule] = input.value;
+  });
+  socket.emit('update-scoring', update);
 }
 
 // Helper functions
@@ -707,10 +2262,79 @@ function findTeamById(teamId) {
   return localState.draftState.teams.find(t => t.id === teamId);
 }
 
+function getRosterSlots() {
+  return localState.draftState.settings.rosterSlots;
+}
+
+// Position whose color a slot uses: flexible slots take their first position, Bench stays neutral
+function getSlotColorPosition(slot) {
+  return slot.id === 'BENCH' ? '' : slot.positions[0];
+}
+
+function getRosterSize() {
+  return getRosterSlots().reduce((sum, slot) => sum + slot.count, 0);
+}
+
+function isAuctionDraft() {
+  return localState.draftState.settings.draftType === 'auction';
+}
+
+// Mirrors the server: the most a team can bid while keeping the minimum bid for each of its other open spots
+function getMaxBid(team) {
+  const openSpots = getRosterSize() - getRosterPlayers(team).length;
+  if (openSpots <= 0) return 0;
+  return team.budget - (openSpots - 1) * localState.draftState.auctionMinBid;
+}
+
+// Round (0-based) a pick falls in. Every draft format has one pick per team per round,
+// even when picks are traded, so this holds for snake, linear, 3rd-round reversal and custom orders.
+function getPickRound(pickIndex) {
+  return Math.floor(pickIndex / localState.draftState.teams.length);
+}
+
+function getRosterPlayers(team) {
+  return getRosterSlots().flatMap(slot => team.roster[slot.id] || []);
+}
+
+function isCommissioner() {
+  return localState.commissionerRole !== null;
+}
+
+function renderCommissionerBadge(team) {
+  const state = localState.draftState;
+  if (team.id === state.commissionerTeamId) {
+    return ' <span class="commish-badge" title="Commissioner">Commish</span>';
+  }
+  if (state.coCommissionerTeamIds.includes(team.id)) {
+    return ' <span class="commish-badge co" title="Co-commissioner">Co-Commish</span>';
+  }
+  return '';
+}
+
+// Role management buttons, shown to the primary commissioner next to every other team
+function renderCommissionerActions(team) {
+  const state = localState.draftState;
+  if (localState.commissionerRole !== 'commissioner' || team.id === state.commissionerTeamId) {
+    return '';
+  }
+
+  const isCo = state.coCommissionerTeamIds.includes(team.id);
+  return `
+    <span class="commish-actions">
+      ${isCo
+        ? `<button class="commish-action-btn" onclick="event.stopPropagation(); revokeCoCommissioner('${team.id}')">Remove Co</button>`
+        : `<button class="commish-action-btn" onclick="event.stopPropagation(); grantCoCommissioner('${team.id}')">Make Co</button>`}
+      <button class="commish-action-btn" onclick="event.stopPropagation(); transferCommissioner('${team.id}')">Transfer</button>
+      <button class="commish-action-btn" onclick="event.stopPropagation(); resetTeamPin('${team.id}')">Reset PIN</button>
+    </span>
+  `;
+}
+
+// Safe for element content and quoted attribute values
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Event handlers
@@ -732,16 +2356,123 @@ function handleWatchDraft() {
   socket.emit('join-as-watcher', { watcherName });
 }
 
+function handleCreateDraft() {
+  fetch('/api/drafts', { method: 'POST' })
+    .then(res => res.json().then(data => ({ ok: res.ok, data })))
+    .then(({ ok, data }) => {
+      if (!ok) throw new Error(data.error);
+      window.location.href = data.url;
+    })
+    .catch(err => {
+      showLobby('Could not create a draft: ' + err.message);
+    });
+}
+
+function handleJoinRoom() {
+  const code = elements.roomCodeInput.value.trim().toUpperCase();
+  if (!code) {
+    alert('Please enter a room code');
+    return;
+  }
+  window.location.href = `/?draft=${encodeURIComponent(code)}`;
+}
+
+function handleCopyInviteLink() {
+  const url = getInviteUrl();
+  navigator.clipboard.writeText(url)
+    .then(() => showNotification('Invite link copied'))
+    .catch(() => prompt('Copy this invite link:', url));
+}
+
 function handleStartDraft() {
   socket.emit('start-draft');
 }
 
+function handleSaveSettings() {
+  const seconds = parseInt(elements.pickSecondsInput.value, 10);
+  const byRound = elements.pickSecondsByRoundInput.value.trim();
+  const secondsByRound = byRound === ''
+    ? []
+    : byRound.split(',').map(v => (v.trim() === '' ? null : parseInt(v, 10)));
+
+  if (isNaN(seconds) || secondsByRound.some(v => v !== null && isNaN(v))) {
+    alert('Pick clock values must be numbers');
+    return;
+  }
+
+  const rosterCounts = {};
+  elements.rosterSettings.querySelectorAll('input').forEach(input => {
+    rosterCounts[input.dataset.slotId] = parseInt(input.value, 10) || 0;
+  });
+
+  const draftType = elements.draftTypeSelect.value;
+  const auction = {
+    budget: parseInt(elements.auctionBudgetInput.value, 10),
+    bidSeconds: parseInt(elements.auctionBidSecondsInput.value, 10)
+  };
+  if (isNaN(auction.budget) || isNaN(auction.bidSeconds)) {
+    alert('Auction budget and bid clock must be numbers');
+    return;
+  }
+
+  const format = elements.draftFormatSelect.value;
+  let customOrder;
+  if (draftType === 'standard' && format === 'custom') {
+    // Team numbers refer to the order shown in the Teams list
+    const teamIds = localState.draftState.orderSetup.teamIds;
+    customOrder = elements.customOrderInput.value
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => line.split(',').map(v => teamIds[parseInt(v, 10) - 1]));
+
+    if (customOrder.some(round => round.some(id => !id))) {
+      alert(`Custom pick order must use team numbers from 1 to ${teamIds.length}`);
+      return;
+    }
+  }
+
+  socket.emit('update-settings', {
+    pickClock: { seconds, secondsByRound },
+    rosterCounts,
+    draftType,
+    auction,
+    tradeReview: elements.tradeReviewCheckbox.checked,
+    format: draftType === 'standard' ? format : undefined,
+    customOrder
+  });
+  showNotification('Draft settings saved');
+}
+
 function draftPlayer(playerId) {
+  if (localState.replacingPick) {
+    socket.emit('replace-pick', { pickNumber: localState.replacingPick, playerId });
+    localState.replacingPick = null;
+    return;
+  }
+  if (localState.commishPickTeamId) {
+    socket.emit('commissioner-pick', { playerId, teamId: localState.commishPickTeamId });
+    localState.commishPickTeamId = null;
+    return;
+  }
+  if (isAuctionDraft()) {
+    const bid = parseInt(elements.auctionBidInput.value, 10);
+    socket.emit('nominate-player', { playerId, bid: isNaN(bid) ? null : bid });
+    elements.auctionBidInput.value = '';
+    return;
+  }
   socket.emit('draft-player', { playerId });
 }
 
+function placeBid(bid) {
+  if (isNaN(bid)) {
+    alert('Enter a bid amount');
+    return;
+  }
+  socket.emit('place-bid', { bid });
+}
+
 function downloadResults() {
-  fetch('/api/results')
+  fetch(`/api/results?draft=${encodeURIComponent(localState.draftState.draftId)}`)
     .then(res => res.json())
     .then(data => {
       const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -768,11 +2499,204 @@ function togglePause() {
   }
 }
 
-function undoPick(pickNumber) {
-  if (!confirm(`Are you sure you want to undo pick #${pickNumber}?`)) {
+function handleClaimCommissioner() {
+  const secret = prompt('Enter the commissioner secret');
+  if (!secret) return;
+  socket.emit('claim-commissioner', { secret });
+}
+
+function transferCommissioner(teamId) {
+  const team = findTeamById(teamId);
+  if (!team || !confirm(`Make ${team.name} the commissioner? You will lose commissioner powers.`)) {
+    return;
+  }
+  socket.emit('transfer-commissioner', { teamId });
+}
+
+function resetTeamPin(teamId) {
+  const team = findTeamById(teamId);
+  if (!team || !confirm(`Give ${team.name} a new team PIN? Their current PIN will stop working.`)) {
     return;
   }
-  socket.emit('undo-pick', { pickNumber });
+  socket.emit('reset-team-pin', { teamId });
+}
+
+function grantCoCommissioner(teamId) {
+  socket.emit('grant-co-commissioner', { teamId });
+}
+
+function revokeCoCommissioner(teamId) {
+  socket.emit('revoke-co-commissioner', { teamId });
+}
+
+function saveQueue(playerIds) {
+  // Update locally right away so drag-and-drop feels instant; the server echoes back the saved queue
+  localState.myQueue = playerIds;
+  renderQueue();
+  renderPlayersGrid();
+  socket.emit('update-queue', { playerIds });
+}
+
+function toggleQueue(playerId) {
+  if (localState.myQueue.includes(playerId)) {
+    saveQueue(localState.myQueue.filter(id => id !== playerId));
+  } else {
+    saveQueue([...localState.myQueue, playerId]);
+  }
+}
+
+// Presence: tell the server when this tab goes idle (hidden, or no input for a couple of minutes) and back
+const IDLE_AFTER_MS = 2 * 60 * 1000;
+let lastActivityAt = Date.now();
+let reportedIdle = false;
+
+function handleUserActivity() {
+  lastActivityAt = Date.now();
+  if (reportedIdle) updatePresence();
+}
+
+function updatePresence() {
+  if (!socket || (!localState.myTeamId && !localState.myWatcherId)) return;
+  const idle = document.hidden || Date.now() - lastActivityAt > IDLE_AFTER_MS;
+  if (idle !== reportedIdle) {
+    reportedIdle = idle;
+    socket.emit('set-presence', { idle });
+  }
+}
+
+// Drag-to-reorder for the queue list (delegated, since the list is re-rendered often)
+let draggedQueueIndex = null;
+
+function handleQueueDragStart(e) {
+  const item = e.target.closest('.queue-item');
+  if (!item) return;
+  draggedQueueIndex = parseInt(item.dataset.index, 10);
+  item.classList.add('dragging');
+  e.dataTransfer.effectAllowed = 'move';
+}
+
+function handleQueueDragOver(e) {
+  if (draggedQueueIndex === null) return;
+  e.preventDefault();
+  document.querySelectorAll('.queue-item.drag-over').forEach(el => el.classList.remove('drag-over'));
+  const item = e.target.closest('.queue-item');
+  if (item) item.classList.add('drag-over');
+}
+
+function handleQueueDrop(e) {
+  e.preventDefault();
+  const item = e.target.closest('.queue-item');
+  if (draggedQueueIndex === null || !item) return;
+
+  const targetIndex = parseInt(item.dataset.index, 10);
+  const queue = localState.myQueue.filter(id => localState.availablePlayers.some(p => p.id === id));
+  const [moved] = queue.splice(draggedQueueIndex, 1);
+  queue.splice(targetIndex, 0, moved);
+  draggedQueueIndex = null;
+  saveQueue(queue);
+}
+
+// Drag-to-reorder for the setup teams list (commissioners, before the order is locked)
+let draggedOrderIndex = null;
+
+function handleOrderDragStart(e) {
+  const item = e.target.closest('.order-draggable');
+  if (!item) return;
+  draggedOrderIndex = parseInt(item.dataset.index, 10);
+  item.classList.add('dragging');
+  e.dataTransfer.effectAllowed = 'move';
+}
+
+function handleOrderDragOver(e) {
+  if (draggedOrderIndex === null) return;
+  e.preventDefault();
+  document.querySelectorAll('.order-draggable.drag-over').forEach(el => el.classList.remove('drag-over'));
+  const item = e.target.closest('.order-draggable');
+  if (item) item.classList.add('drag-over');
+}
+
+function handleOrderDrop(e) {
+  e.preventDefault();
+  const item = e.target.closest('.order-draggable');
+  if (draggedOrderIndex === null || !item) return;
+
+  const targetIndex = parseInt(item.dataset.index, 10);
+  const teamIds = localState.draftState.orderSetup.teamIds.slice();
+  const [moved] = teamIds.splice(draggedOrderIndex, 1);
+  teamIds.splice(targetIndex, 0, moved);
+  draggedOrderIndex = null;
+  socket.emit('set-draft-order', { teamIds });
+}
+
+function handleOrderDragEnd() {
+  draggedOrderIndex = null;
+  document.querySelectorAll('.order-draggable.dragging, .order-draggable.drag-over').forEach(el => {
+    el.classList.remove('dragging', 'drag-over');
+  });
+}
+
+function handleRunLottery() {
+  const seedText = elements.lotterySeedInput.value.trim();
+  const seed = seedText === '' ? null : parseInt(seedText, 10);
+  if (seedText !== '' && (isNaN(seed) || seed < 0)) {
+    alert('Seed must be a whole number (or leave it blank for a random one)');
+    return;
+  }
+  socket.emit('run-draft-lottery', { seed });
+  elements.lotterySeedInput.value = '';
+}
+
+function handleAssignKeeper() {
+  const teamId = elements.keeperTeamSelect.value;
+  const playerId = elements.keeperPlayerSelect.value;
+  const round = parseInt(elements.keeperRoundInput.value, 10);
+  if (!teamId || !playerId || isNaN(round)) {
+    alert('Choose a team, a player and a round');
+    return;
+  }
+  socket.emit('assign-keeper', { teamId, playerId, round });
+  elements.keeperPlayerSelect.value = '';
+  elements.keeperRoundInput.value = '';
+}
+
+function removeKeeper(playerId) {
+  socket.emit('remove-keeper', { playerId });
+}
+
+function handleToggleOrderLock() {
+  socket.emit('set-draft-order-locked', { locked: !localState.draftState.orderSetup.locked });
+}
+
+function handleQueueDragEnd() {
+  draggedQueueIndex = null;
+  document.querySelectorAll('.queue-item.dragging, .queue-item.drag-over').forEach(el => {
+    el.classList.remove('dragging', 'drag-over');
+  });
+}
+
+function handleAutodraftToggle(e) {
+  socket.emit('set-autodraft', { enabled: e.target.checked });
+}
+
+function rewindToPick(pickNumber) {
+  const later = localState.draftState.picks.filter(p => !p.keeper && p.pickNumber > pickNumber).length;
+  if (!confirm(`Rewind the draft to pick #${pickNumber}? That pick${later ? ` and the ${later} after it` : ''} will be undone.`)) {
+    return;
+  }
+  // Offer to keep later picks (they're skipped when their turn comes round again); auctions always clear them
+  const replay = later > 0 && !isAuctionDraft() &&
+                 confirm(`Keep the ${later} pick(s) made after #${pickNumber} where they're still legal?\nOK keeps them, Cancel clears them.`);
+  socket.emit('rewind-to-pick', { pickNumber, replay });
+}
+
+// Commissioner picks a different player for an existing pick: the player list switches to "Use" buttons
+function toggleReplacePick(pickNumber) {
+  localState.replacingPick = localState.replacingPick === pickNumber ? null : pickNumber;
+  if (localState.replacingPick) {
+    showNotification(`Choose the player for pick #${pickNumber}`);
+  }
+  renderRecentPicks();
+  renderPlayersGrid();
 }
 
 function handlePositionFilter(position) {
@@ -793,6 +2717,16 @@ function handleSearch(query) {
 
 // Set up event listeners
 function setupEventListeners() {
+  // Lobby
+  elements.createDraftButton.addEventListener('click', handleCreateDraft);
+  elements.joinRoomButton.addEventListener('click', handleJoinRoom);
+  elements.roomCodeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleJoinRoom();
+  });
+
+  // Copy invite link
+  elements.copyLinkButton.addEventListener('click', handleCopyInviteLink);
+
   // Join button
   elements.joinButton.addEventListener('click', handleJoinDraft);
 
@@ -807,6 +2741,53 @@ function setupEventListeners() {
   // Start draft button
   elements.startDraftButton.addEventListener('click', handleStartDraft);
 
+  // Save draft settings button
+  elements.saveSettingsButton.addEventListener('click', handleSaveSettings);
+  elements.draftFormatSelect.addEventListener('change', updateCustomOrderVisibility);
+  elements.draftTypeSelect.addEventListener('change', updateCustomOrderVisibility);
+
+  // Auction bidding
+  elements.auctionBidButton.addEventListener('click', () => {
+    if (localState.draftState.lot) {
+      placeBid(parseInt(elements.auctionBidInput.value, 10));
+    }
+  });
+  elements.auctionBidInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter' && localState.draftState.lot) {
+      placeBid(parseInt(elements.auctionBidInput.value, 10));
+    }
+  });
+
+  // Draft order setup
+  elements.teamsUl.addEventListener('dragstart', handleOrderDragStart);
+  elements.teamsUl.addEventListener('dragover', handleOrderDragOver);
+  elements.teamsUl.addEventListener('drop', handleOrderDrop);
+  elements.teamsUl.addEventListener('dragend', handleOrderDragEnd);
+  elements.runLotteryButton.addEventListener('click', handleRunLottery);
+  elements.lockOrderButton.addEventListener('click', handleToggleOrderLock);
+
+  // Presence
+  ['mousemove', 'keydown', 'click', 'touchstart', 'scroll'].forEach(type => {
+    document.addEventListener(type, handleUserActivity, { passive: true });
+  });
+  document.addEventListener('visibilitychange', updatePresence);
+
+  // Commissioner picks
+  elements.commishPickSelect.addEventListener('change', handleCommishPickSelect);
+
+  // Keepers
+  elements.assignKeeperButton.addEventListener('click', handleAssignKeeper);
+
+  // Trades
+  elements.proposeTradeButton.addEventListener('click', openTradeModal);
+  elements.tradeTeamSelect.addEventListener('change', renderTradeOptions);
+  elements.tradeCancelButton.addEventListener('click', closeTradeModal);
+  elements.bracketCloseButton.addEventListener('click', closeBracketModal);
+  elements.tradeSubmitButton.addEventListener('click', submitTrade);
+
+  // Claim commissioner button
+  elements.claimCommissionerButton.addEventListener('click', handleClaimCommissioner);
+
   // Position filter buttons
   elements.positionFilter.addEventListener('click', (e) => {
     if (e.target.classList.contains('filter-btn')) {
@@ -814,6 +2795,41 @@ function setupEventListeners() {
     }
   });
 
+  // Player grid column headers
+  elements.playerColumns.addEventListener('click', (e) => {
+    if (e.target.classList.contains('sort-header')) {
+      handleSortClick(e.target.dataset.sort);
+    }
+  });
+
+  // Playoff scoring
+  elements.importStatsButton.addEventListener('click', handleImportStats);
+  elements.clearStatsButton.addEventListener('click', handleClearStats);
+  elements.statsRoundSelect.addEventListener('change', renderStatsImportStatus);
+  elements.saveScoringButton.addEventListener('click', handleSaveScoring);
+
+  // Hide Out/IR toggle
+  elements.hideInjuredCheckbox.addEventListener('change', handleHideInjuredToggle);
+
+  // Player pool
+  elements.importPlayersButton.addEventListener('click', handleImportPlayers);
+  elements.resetPlayersButton.addEventListener('click', handleResetPlayers);
+  elements.addPlayerButton.addEventListener('click', handleAddPlayer);
+  elements.poolSearchInput.addEventListener('input', renderPlayerPool);
+
+  // Rankings import
+  elements.importRankingsButton.addEventListener('click', handleImportRankings);
+  elements.clearRankingsButton.addEventListener('click', handleClearRankings);
+
+  // Queue drag-to-reorder
+  elements.queueList.addEventListener('dragstart', handleQueueDragStart);
+  elements.queueList.addEventListener('dragover', handleQueueDragOver);
+  elements.queueList.addEventListener('drop', handleQueueDrop);
+  elements.queueList.addEventListener('dragend', handleQueueDragEnd);
+
+  // Autodraft toggle
+  elements.autodraftCheckbox.addEventListener('change', handleAutodraftToggle);
+
   // Search input
   elements.playerSearch.addEventListener('input', (e) => {
     handleSearch(e.target.value);
@@ -885,14 +2901,39 @@ function updateUnreadBadge() {
 // Make functions available globally
 window.toggleTeamDetail = toggleTeamDetail;
 window.draftPlayer = draftPlayer;
+window.placeBid = placeBid;
+window.removeKeeper = removeKeeper;
+window.removePlayer = removePlayer;
+window.setPlayerStatus = setPlayerStatus;
+window.respondTrade = respondTrade;
+window.cancelTrade = cancelTrade;
+window.reviewTrade = reviewTrade;
+window.toggleQueue = toggleQueue;
 window.downloadResults = downloadResults;
+window.toggleScoreTeam = toggleScoreTeam;
+window.openBracketModal = openBracketModal;
+window.toggleDraftBoard = toggleDraftBoard;
+window.toggleBoardFullscreen = toggleBoardFullscreen;
+window.setGameWinner = setGameWinner;
+window.savePlayoffSeeds = savePlayoffSeeds;
 window.togglePause = togglePause;
-window.undoPick = undoPick;
+window.rewindToPick = rewindToPick;
+window.toggleReplacePick = toggleReplacePick;
+window.transferCommissioner = transferCommissioner;
+window.resetTeamPin = resetTeamPin;
+window.grantCoCommissioner = grantCoCommissioner;
+window.revokeCoCommissioner = revokeCoCommissioner;
 window.sendChatMessage = sendChatMessage;
 window.toggleChat = toggleChat;
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
   setupEventListeners();
+  if (!draftIdFromUrl) {
+    showLobby();
+    return;
+  }
   initializeSocket();
+  setInterval(updatePickClock, 250);
+  setInterval(updatePresence, 15000);
 });
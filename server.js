@@ -3,6 +3,7 @@ const http = require('http');
 const { Server } = require('socket.io');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,14 +16,228 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Optional secret a team can enter to claim the commissioner role.
+// When unset, the first team to join becomes commissioner.
+const COMMISSIONER_SECRET = process.env.COMMISSIONER_SECRET || null;
+
+// Helper: Parse a whole number from min to max, or null if the text is anything else
+function parseWholeNumber(text, min, max) {
+  const value = /^\d+$/.test(String(text).trim()) ? parseInt(text, 10) : NaN;
+  return value >= min && value <= max ? value : null;
+}
+
+// Helper: Read a whole-number setting from the environment. A typo falls back to the
+// default with a warning rather than leaving NaN to break timers and limits.
+function readEnvNumber(name, defaultValue, min, max) {
+  const text = process.env[name];
+  if (text === undefined || text.trim() === '') return defaultValue;
+  const value = parseWholeNumber(text, min, max);
+  if (value === null) {
+    console.warn(`Ignoring ${name}="${text}" (expected a whole number from ${min} to ${max}); using ${defaultValue}`);
+    return defaultValue;
+  }
+  return value;
+}
+
+// Default pick clock. PICK_SECONDS=0 turns the clock off.
+// PICK_SECONDS_BY_ROUND overrides individual rounds, e.g. "120,120,90" (blank entries use PICK_SECONDS).
+const DEFAULT_PICK_SECONDS = readEnvNumber('PICK_SECONDS', 90, 0, 3600);
+const DEFAULT_PICK_SECONDS_BY_ROUND = (process.env.PICK_SECONDS_BY_ROUND || '')
+  .split(',')
+  .map((v, i) => {
+    if (v.trim() === '') return null;
+    const seconds = parseWholeNumber(v, 0, 3600);
+    if (seconds === null) {
+      console.warn(`Ignoring PICK_SECONDS_BY_ROUND entry "${v}" for round ${i + 1}; it uses PICK_SECONDS instead`);
+    }
+    return seconds;
+  });
+
+// Every player position in the pool
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+
+// Roster slot types a league can use. A drafted player goes into the most specific
+// slot with room, so dedicated slots fill before WR/TE, FLEX and bench.
+const ROSTER_SLOT_TYPES = [
+  { id: 'QB', label: 'QB', positions: ['QB'] },
+  { id: 'RB', label: 'RB', positions: ['RB'] },
+  { id: 'WR', label: 'WR', positions: ['WR'] },
+  { id: 'TE', label: 'TE', positions: ['TE'] },
+  { id: 'WR_TE', label: 'WR/TE', positions: ['WR', 'TE'] },
+  { id: 'FLEX', label: 'FLEX', positions: ['RB', 'WR', 'TE'] },
+  { id: 'K', label: 'K', positions: ['K'] },
+  { id: 'DST', label: 'DST', positions: ['DST'] },
+  { id: 'BENCH', label: 'Bench', positions: POSITIONS }
+];
+
+// Draft formats: how the first-round order repeats (or doesn't) through later rounds.
+// 'custom' uses a commissioner-supplied list of picks per round, which can include traded picks.
+const DRAFT_FORMATS = [
+  { id: 'snake', label: 'Snake' },
+  { id: 'linear', label: 'Linear' },
+  { id: 'third-round-reversal', label: 'Snake, 3rd-round reversal' },
+  { id: 'custom', label: 'Custom pick order' }
+];
+
+// Injury designations the commissioner can put on players. Auto-picks pass over Out and IR players
+// unless the team queued them.
+const PLAYER_STATUSES = ['Active', 'Questionable', 'Doubtful', 'Out', 'IR'];
+const UNAVAILABLE_STATUSES = ['Out', 'IR'];
+
+// Auction drafts: each team's starting budget, how long bidding stays open after the latest bid,
+// and the smallest bid (every open roster spot must be fillable at this price)
+const DEFAULT_AUCTION_BUDGET = 200;
+const DEFAULT_BID_SECONDS = 15;
+const AUCTION_MIN_BID = 1;
+
+// Default roster: 1 QB, 2 RB, 3 WR/TE, 1 K, 1 DST
+const DEFAULT_ROSTER_COUNTS = { QB: 1, RB: 2, WR_TE: 3, K: 1, DST: 1 };
+
+// How long a disconnected team on the clock gets to come back before the server picks for them
+const AUTOPICK_DISCONNECT_SECONDS = readEnvNumber('AUTOPICK_DISCONNECT_SECONDS', 15, 0, 3600);
+
+// Short delay before picking for a team with autodraft on, so everyone sees them come up
+const AUTOPICK_DELAY_MS = 1500;
+
 // Health check endpoint for Railway
 app.get('/health', (req, res) => {
   res.status(200).send('OK');
 });
 
-// Generate unique draft ID on server start (used to invalidate old client sessions)
-const DRAFT_ID = 'draft-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6);
-console.log(`Draft ID: ${DRAFT_ID}`);
+// Each draft room is snapshotted to its own file here after every change, so a restart
+// can pick up where it left off. Point DATA_DIR at a persistent volume when deploying
+// (e.g. a Railway volume mount).
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const DRAFTS_DIR = path.join(DATA_DIR, 'drafts');
+
+// Cap on rooms one server will host, so a stray script can't fill the disk
+const MAX_DRAFTS = readEnvNumber('MAX_DRAFTS', 50, 1, 10000);
+
+// Abandoned rooms give their slot back: a room nobody joins within an hour, or one with nobody
+// connected and no changes for DRAFT_IDLE_DAYS (long enough to follow the playoffs), is deleted
+const UNJOINED_DRAFT_TTL_MS = 60 * 60 * 1000;
+const DRAFT_IDLE_DAYS = readEnvNumber('DRAFT_IDLE_DAYS', 30, 1, 3650);
+const ROOM_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Rankings CSV import: accepted header names for each field (compared lowercased, punctuation as spaces)
+const RANKING_COLUMNS = {
+  id: ['id', 'player id', 'playerid'],
+  name: ['name', 'player', 'player name'],
+  team: ['team', 'nfl team', 'tm'],
+  position: ['pos', 'position'],
+  rank: ['rank', 'overall', 'overall rank', 'ovr', 'adp', 'ecr'],
+  posRank: ['pos rank', 'position rank', 'positional rank', 'posrank'],
+  projPoints: ['proj', 'projected', 'projected points', 'proj pts', 'points', 'fpts'],
+  playoffGames: ['games', 'playoff games', 'proj games', 'projected games'],
+  tier: ['tier']
+};
+const MAX_RANKINGS_CSV_LENGTH = 200 * 1024;
+const MAX_RANKING_ROWS = 1000;
+
+// Player pool uploads: accepted CSV headers (JSON uses the field names) and size limits
+const PLAYER_COLUMNS = {
+  id: ['id', 'player id', 'playerid'],
+  name: ['name', 'player', 'player name'],
+  team: ['team', 'nfl team', 'tm'],
+  position: ['pos', 'position']
+};
+const MAX_PLAYER_FILE_LENGTH = 500 * 1024;
+const MAX_POOL_PLAYERS = 2000;
+// Player IDs end up in client markup and handlers, so uploaded ones are limited to plain characters
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// Playoff weeks scored once the draft is done, in order
+const PLAYOFF_ROUNDS = [
+  { id: 'WC', label: 'Wild Card' },
+  { id: 'DIV', label: 'Divisional' },
+  { id: 'CONF', label: 'Conference' },
+  { id: 'SB', label: 'Super Bowl' }
+];
+
+// NFL playoff field by conference, top seed first (the 2024-25 playoffs, matching players.json).
+// The top seed has a wild card bye; the other six play 2v7, 3v6 and 4v5.
+const CONFERENCES = ['AFC', 'NFC'];
+const DEFAULT_PLAYOFF_SEEDS = {
+  AFC: ['KC', 'BUF', 'BAL', 'HOU', 'LAC', 'PIT', 'DEN'],
+  NFC: ['DET', 'PHI', 'TB', 'LAR', 'MIN', 'WAS', 'GB']
+};
+const SEEDS_PER_CONFERENCE = 7;
+
+// Weekly stat imports: accepted CSV headers for each stat (JSON uses the field names).
+// `int` is interceptions thrown for players and interceptions made for defenses; `longTd` counts
+// touchdowns of 40+ yards (on top of passTd/rushTd/recTd) for the long-TD bonus.
+const STAT_COLUMNS = {
+  id: ['id', 'player id', 'playerid'],
+  name: ['name', 'player', 'player name'],
+  team: ['team', 'nfl team', 'tm'],
+  position: ['pos', 'position'],
+  passYds: ['pass yds', 'passing yds', 'passing yards', 'pass yards'],
+  passTd: ['pass td', 'pass tds', 'passing td', 'passing tds'],
+  int: ['int', 'ints', 'interceptions'],
+  rushYds: ['rush yds', 'rushing yds', 'rushing yards', 'rush yards'],
+  rushTd: ['rush td', 'rush tds', 'rushing td', 'rushing tds'],
+  rec: ['rec', 'receptions'],
+  recYds: ['rec yds', 'receiving yds', 'receiving yards', 'rec yards'],
+  recTd: ['rec td', 'rec tds', 'receiving td', 'receiving tds'],
+  twoPt: ['2pt', '2 pt', 'two pt', '2pt conversions'],
+  fumLost: ['fum lost', 'fumbles lost', 'fl'],
+  longTd: ['long td', 'long tds', '40 td', '40 yd td'],
+  fg0_39: ['fg 0 39', 'fg 0 39 made', 'fg under 40'],
+  fg40_49: ['fg 40 49', 'fg 40 49 made'],
+  fg50: ['fg 50', 'fg 50 plus', 'fg 50 made'],
+  fgMiss: ['fg miss', 'fg missed', 'fg misses'],
+  xp: ['xp', 'pat', 'xp made', 'pat made'],
+  sacks: ['sacks', 'sack', 'sck'],
+  fumRec: ['fum rec', 'fumble recoveries', 'fr'],
+  defTd: ['def td', 'defensive td', 'def tds', 'return td'],
+  safety: ['safety', 'safeties', 'sfty'],
+  ptsAllowed: ['pts allowed', 'points allowed', 'pa']
+};
+const STAT_FIELDS = Object.keys(STAT_COLUMNS).filter(field => !['id', 'name', 'team', 'position'].includes(field));
+const MAX_STATS_FILE_LENGTH = 500 * 1024;
+
+// Points per reception for each scoring preset
+const SCORING_PRESETS = [
+  { id: 'ppr', label: 'PPR', reception: 1 },
+  { id: 'half', label: 'Half PPR', reception: 0.5 },
+  { id: 'standard', label: 'Standard', reception: 0 }
+];
+
+// Default fantasy scoring. Yardage is one point per `...YdsPerPoint` yards. Defenses score by
+// points allowed tiers: the first tier whose `max` the points allowed don't exceed.
+const DEFAULT_SCORING_RULES = {
+  preset: 'ppr',
+  passYdsPerPoint: 25,
+  passTd: 4,
+  int: -2,
+  rushYdsPerPoint: 10,
+  rushTd: 6,
+  reception: 1,
+  recYdsPerPoint: 10,
+  recTd: 6,
+  twoPt: 2,
+  fumLost: -2,
+  longTdBonus: 0,
+  fg0_39: 3,
+  fg40_49: 4,
+  fg50: 5,
+  fgMiss: -1,
+  xp: 1,
+  sack: 1,
+  defInt: 2,
+  fumRec: 2,
+  defTd: 6,
+  safety: 2,
+  pointsAllowed: [
+    { max: 0, points: 10 },
+    { max: 6, points: 7 },
+    { max: 13, points: 4 },
+    { max: 20, points: 1 },
+    { max: 27, points: 0 },
+    { max: 34, points: -1 },
+    { max: null, points: -4 }
+  ]
+};
 
 // Load players from JSON file
 let allPlayers = [];
@@ -35,598 +250,3680 @@ try {
   process.exit(1);
 }
 
-// Draft state
-const draftState = {
-  phase: 'setup', // 'setup' | 'drafting' | 'complete'
-  teams: [],
-  watchers: [], // People watching but not drafting
-  draftOrder: [],
-  currentPickIndex: 0,
-  picks: [],
-  draftedPlayerIds: new Set(),
-  paused: false
-};
+// Team nicknames ("chiefs") for search text, taken from the defenses in players.json ("Chiefs D/ST")
+const TEAM_NICKNAMES = {};
+allPlayers.filter(p => p.position === 'DST').forEach(p => {
+  TEAM_NICKNAMES[p.team] = p.name.split(' ')[0].toLowerCase();
+});
+
+// Draft rooms by ID. Each room is one league's draft:
+// { id, createdAt, savedAt, draftState, chatMessages, pickTimer, autoPickTimer }
+const rooms = new Map();
+
+// Helper: Every playoff game from the seeds and recorded winners, in round order. Teams not yet
+// known are null. Divisional games are reseeded: the top seed hosts the lowest seed left and the
+// other two wild card winners play each other. The better seed is listed as home.
+function buildBracketGames(bracket) {
+  const { seeds, winners } = bracket;
+  const games = [];
+  const addGame = (id, round, conference, teamA, teamB) => {
+    const seedOf = team => (conference && team ? seeds[conference].indexOf(team) + 1 : null);
+    const [home, away] = teamA && teamB && seedOf(teamB) < seedOf(teamA) ? [teamB, teamA] : [teamA, teamB];
+    const game = {
+      id,
+      round,
+      conference,
+      home,
+      away,
+      homeSeed: seedOf(home),
+      awaySeed: seedOf(away),
+      winner: winners[id] || null
+    };
+    games.push(game);
+    return game;
+  };
+
+  const champions = {};
+  CONFERENCES.forEach(conference => {
+    const teams = seeds[conference];
+    const seedOf = team => teams.indexOf(team);
+    const wildCard = [[1, 6], [2, 5], [3, 4]].map(([a, b], index) =>
+      addGame(`${conference}-WC${index + 1}`, 'WC', conference, teams[a], teams[b])
+    );
+
+    const wildCardWinners = wildCard.map(game => game.winner);
+    const left = wildCardWinners.every(Boolean) ? wildCardWinners.sort((a, b) => seedOf(a) - seedOf(b)) : [null, null, null];
+    const divisional = [
+      addGame(`${conference}-DIV1`, 'DIV', conference, teams[0], left[2]),
+      addGame(`${conference}-DIV2`, 'DIV', conference, left[0], left[1])
+    ];
+
+    const championship = addGame(`${conference}-CONF`, 'CONF', conference, divisional[0].winner, divisional[1].winner);
+    champions[conference] = championship.winner;
+  });
+  addGame('SB', 'SB', null, champions.AFC, champions.NFC);
+
+  return games;
+}
+
+// Helper: NFL teams knocked out of the playoffs (losers of every decided game)
+function getEliminatedTeams(room) {
+  const eliminated = new Set();
+  buildBracketGames(room.draftState.bracket)
+    .filter(game => game.winner)
+    .forEach(game => eliminated.add(game.winner === game.home ? game.away : game.home));
+  return eliminated;
+}
+
+// Helper: Fresh draft state for a new room
+function createDraftState() {
+  return {
+    phase: 'setup', // 'setup' | 'drafting' | 'complete'
+    teams: [],
+    watchers: [], // People watching but not drafting
+    draftOrder: [],
+    // First-round order chosen during setup; must be locked before the draft can start
+    orderSetup: {
+      teamIds: [], // Join order until the commissioner sets it or runs the lottery
+      method: 'join', // 'join' | 'manual' | 'lottery'
+      seed: null, // Lottery seed, so the result can be reproduced
+      locked: false
+    },
+    currentPickIndex: 0,
+    picks: [],
+    draftedPlayerIds: new Set(),
+    paused: false,
+    // Commissioner roles are held by token, never by team name. Tokens are server-only.
+    commissioner: null, // { teamId, token }
+    coCommissioners: [], // [{ teamId, token }]
+    // League settings: drive roster validation, round count, the pick clock and client rendering
+    settings: {
+      draftType: 'standard', // 'standard' (turn-based picks) | 'auction' (nominate and bid)
+      auction: { budget: DEFAULT_AUCTION_BUDGET, bidSeconds: DEFAULT_BID_SECONDS },
+      format: 'snake', // One of DRAFT_FORMATS (standard drafts only)
+      tradeReview: false, // When true, accepted trades wait for a commissioner's approval
+      customOrder: null, // For 'custom': one array of team IDs per round
+      rosterSlots: buildRosterSlots(DEFAULT_ROSTER_COUNTS), // [{ id, label, positions, count }]
+      pickClock: {
+        seconds: DEFAULT_PICK_SECONDS,
+        secondsByRound: DEFAULT_PICK_SECONDS_BY_ROUND // null entries fall back to `seconds`
+      }
+    },
+    // Players carried over from an earlier league, assigned by the commissioner during setup.
+    // Each costs its team's pick in `round` (1-based) in turn-based drafts.
+    keepers: [], // [{ teamId, playerId, round }]
+    // Trade offers between teams during the draft, oldest first (completed ones stay as history)
+    trades: [], // [{ id, fromTeamId, toTeamId, give: { picks, players }, get: { picks, players }, status, proposedAt, resolvedAt }]
+    // Player pool uploaded by the commissioner; null means the server's players.json
+    players: null, // [{ id, name, team, position, searchText }]
+    // Imported player rankings, keyed by player ID, and a summary of the last import
+    rankings: {}, // { [playerId]: { rank, posRank, projPoints, playoffGames, tier } }
+    rankingsImport: null, // { importedAt, matched, unmatched: [first few names], unmatchedCount }
+    // Injury designations, keyed by player ID (players without one are Active)
+    playerStatuses: {}, // { [playerId]: { status, note, updatedAt } }
+    // NFL playoff bracket: seeds by conference and recorded game winners (games are derived from these)
+    bracket: {
+      seeds: { AFC: [...DEFAULT_PLAYOFF_SEEDS.AFC], NFC: [...DEFAULT_PLAYOFF_SEEDS.NFC] },
+      winners: {} // { [gameId]: team abbreviation }
+    },
+    // Fantasy scoring after the draft: the league's rules, and imported stat lines per playoff round
+    scoring: {
+      rules: { ...DEFAULT_SCORING_RULES },
+      stats: {}, // { [roundId]: { [playerId]: { passYds, passTd, ... } } }
+      imports: {} // { [roundId]: { importedAt, matched, unmatched: [first few names], unmatchedCount } }
+    },
+    // Auction only: the player up for bids. The draft order is the nomination order.
+    lot: null, // { playerId, nominatedBy, bid, bidderId }
+    // Running clock for the current pick (or auction lot): deadline while ticking, remainingMs while paused
+    clock: null // { deadline, remainingMs }
+  };
+}
+
+// Helper: Random code of unambiguous characters (no 0/O or 1/I/L), easy to read out and type
+function generateCode(length) {
+  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(length), b => alphabet[b % alphabet.length]).join('');
+}
+
+// Helper: Short room code for sharing
+function generateDraftId() {
+  let id;
+  do {
+    id = generateCode(6);
+  } while (rooms.has(id));
+  return id;
+}
+
+// Helper: Secret PIN a manager needs to reclaim their team from another tab or device
+function generateTeamPin() {
+  return generateCode(6);
+}
+
+// Helper: Look up a room from a client-supplied draft ID (case-insensitive)
+function getRoom(draftId) {
+  if (typeof draftId !== 'string') return null;
+  return rooms.get(draftId.trim().toUpperCase()) || null;
+}
+
+// Helper: Create and register a new, empty draft room
+function createRoom() {
+  const room = {
+    id: generateDraftId(),
+    createdAt: new Date().toISOString(),
+    savedAt: null, // Set by persistState; how long a room has gone untouched
+    draftState: createDraftState(),
+    chatMessages: [], // Kept separate, not sent with every state update
+    pickTimer: null, // Timer for the current pick (not persisted; rebuilt from draftState.clock on restore)
+    autoPickTimer: null // Timer for an auto-pick on behalf of an absent or autodrafting team (not persisted)
+  };
+  rooms.set(room.id, room);
+  persistState(room);
+  return room;
+}
+
+// Helper: Log with the room's ID, so interleaved drafts can be told apart
+function logRoom(room, ...args) {
+  console.log(`[${room.id}]`, ...args);
+}
+
+// Helper: Wrap a timer or event callback so a bug in one room's draft is logged instead of
+// crashing the server and every other room with it. This is a last resort: callers still
+// validate their input before changing any state.
+function guardCallback(room, label, callback, onError) {
+  return (...args) => {
+    try {
+      callback(...args);
+    } catch (err) {
+      console.error(`[${room.id}] Unexpected error in ${label}:`, err);
+      if (onError) onError(err);
+    }
+  };
+}
+
+// Helper: guardCallback for a socket event handler; the client that sent the event is told it failed
+function guardHandler(room, socket, event, handler) {
+  return guardCallback(room, event, handler, () => {
+    socket.emit('error', { message: 'Something went wrong. Please try again.' });
+  });
+}
+
+// Helper: Snapshot file for a room
+function getStateFile(room) {
+  return path.join(DRAFTS_DIR, `${room.id}.json`);
+}
+
+// Helper: Write a room's draft and chat to disk (write-then-rename so a crash never leaves half a file)
+function persistState(room) {
+  const { draftState } = room;
+  room.savedAt = new Date().toISOString();
+  const snapshot = {
+    draftId: room.id,
+    createdAt: room.createdAt,
+    savedAt: room.savedAt,
+    draftState: {
+      ...draftState,
+      // Socket IDs are meaningless after a restart, so never write them
+      teams: draftState.teams.map(t => ({ ...t, socketId: null })),
+      watchers: draftState.watchers.map(w => ({ ...w, socketId: null })),
+      draftedPlayerIds: Array.from(draftState.draftedPlayerIds)
+    },
+    chatMessages: room.chatMessages
+  };
+
+  const stateFile = getStateFile(room);
+  const tmpFile = stateFile + '.tmp';
+  try {
+    fs.mkdirSync(DRAFTS_DIR, { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(snapshot));
+    fs.renameSync(tmpFile, stateFile);
+  } catch (err) {
+    console.error(`Error saving draft ${room.id}:`, err.message);
+  }
+}
+
+// Helper: Restore every saved room from its last snapshot
+function restoreRooms() {
+  if (!fs.existsSync(DRAFTS_DIR)) {
+    return;
+  }
+
+  fs.readdirSync(DRAFTS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(path.join(DRAFTS_DIR, file), 'utf8'));
+        const saved = snapshot.draftState;
+
+        const room = {
+          id: snapshot.draftId,
+          createdAt: snapshot.createdAt,
+          savedAt: snapshot.savedAt || snapshot.createdAt,
+          draftState: Object.assign(createDraftState(), saved, {
+            settings: { ...createDraftState().settings, ...saved.settings },
+            teams: saved.teams.map(t => ({ queue: [], ...t, socketId: null })),
+            watchers: saved.watchers.map(w => ({ ...w, socketId: null })),
+            draftedPlayerIds: new Set(saved.draftedPlayerIds)
+          }),
+          chatMessages: snapshot.chatMessages || [],
+          pickTimer: null,
+          autoPickTimer: null
+        };
+        rooms.set(room.id, room);
+
+        // Snapshots from before order setup existed: fall back to join order
+        if (room.draftState.orderSetup.teamIds.length !== room.draftState.teams.length) {
+          room.draftState.orderSetup = { ...createDraftState().orderSetup, teamIds: room.draftState.teams.map(t => t.id) };
+        }
+
+        if (room.draftState.phase === 'drafting') {
+          // Whoever was on the clock gets a fresh clock rather than losing time to the outage
+          startPickClock(room);
+          scheduleAutoPick(room);
+        }
+
+        logRoom(room, `Restored draft (saved ${snapshot.savedAt}, phase: ${room.draftState.phase}, ${room.draftState.picks.length} picks)`);
+      } catch (err) {
+        console.error(`Error restoring draft from ${file}, skipping it:`, err.message);
+      }
+    });
+}
+
+restoreRooms();
+
+// Helper: Stop a room's timers and remove it from memory and disk
+function deleteRoom(room) {
+  clearPickTimer(room);
+  if (room.autoPickTimer) {
+    clearTimeout(room.autoPickTimer);
+    room.autoPickTimer = null;
+  }
+  rooms.delete(room.id);
+  try {
+    fs.rmSync(getStateFile(room), { force: true });
+  } catch (err) {
+    console.error(`Error deleting draft ${room.id}:`, err.message);
+  }
+}
+
+// Helper: Delete rooms nobody is using. A room with anyone connected is always kept.
+function expireIdleRooms() {
+  const now = Date.now();
+  rooms.forEach(room => {
+    const connected = io.sockets.adapter.rooms.get(room.id);
+    if (connected && connected.size > 0) return;
+
+    const idleMs = now - Date.parse(room.savedAt || room.createdAt);
+    const unjoined = room.draftState.teams.length === 0 && idleMs > UNJOINED_DRAFT_TTL_MS;
+    if (unjoined || idleMs > DRAFT_IDLE_DAYS * 24 * 60 * 60 * 1000) {
+      logRoom(room, `Deleting ${unjoined ? 'unjoined' : 'idle'} draft (last change ${room.savedAt || room.createdAt})`);
+      deleteRoom(room);
+    }
+  });
+}
+
+setInterval(expireIdleRooms, ROOM_SWEEP_INTERVAL_MS).unref();
+console.log(`${rooms.size} draft room(s) loaded`);
+
+// Helper: The room's player pool: a list the commissioner uploaded, or the server's players.json
+function getPlayerPool(room) {
+  return room.draftState.players || allPlayers;
+}
+
+// Helper: Find a player in the room's pool by ID
+function findPlayerById(room, playerId) {
+  return getPlayerPool(room).find(p => p.id === playerId);
+}
+
+// Helper: Canonical position for a user-supplied one (DEF, D/ST and D count as DST), or null
+function normalizePosition(value) {
+  const position = String(value || '').trim().toUpperCase().replace(/^(DEF|D\/ST|D)$/, 'DST');
+  return POSITIONS.includes(position) ? position : null;
+}
+
+// Helper: Lowercase search string for a player, in the same shape as players.json
+function generateSearchText(player) {
+  return [
+    player.name,
+    player.position,
+    player.position === 'DST' ? 'defense' : '',
+    player.team,
+    TEAM_NICKNAMES[player.team] || ''
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+// Helper: Validate one uploaded or hand-entered player. Returns { player } or { error }.
+// IDs are optional and default to the players.json style (TEAM-FirstLast).
+function buildPlayer(fields) {
+  const name = String(fields.name || '').trim();
+  const team = String(fields.team || '').trim().toUpperCase();
+  const position = normalizePosition(fields.position);
+
+  if (!name || name.length > 40) return { error: 'needs a name of up to 40 characters' };
+  if (!/^[A-Z]{2,3}$/.test(team)) return { error: `has an invalid team "${fields.team || ''}" (use the 2-3 letter code)` };
+  if (!position) return { error: `has an unknown position "${fields.position || ''}" (use ${POSITIONS.join(', ')})` };
+
+  const id = String(fields.id || '').trim() || `${team}-${name.replace(/[^A-Za-z0-9]/g, '')}`;
+  if (!PLAYER_ID_PATTERN.test(id)) return { error: `has an invalid id "${id}" (use up to 50 letters, digits, - or _)` };
+  const player = { id, name, team, position };
+  return { player: { ...player, searchText: generateSearchText(player) } };
+}
+
+// Helper: Parse an uploaded player list (a JSON array of objects, or CSV with a header row).
+// Returns { players } or { error } describing the first few problems.
+function parsePlayerFile(text) {
+  let records;
+  if (text.trim().startsWith('[')) {
+    try {
+      records = JSON.parse(text);
+    } catch (err) {
+      return { error: `The player file isn't valid JSON: ${err.message}` };
+    }
+    if (!records.every(r => r && typeof r === 'object')) return { error: 'Every entry in the JSON list must be a player object' };
+  } else {
+    const rows = parseCsv(text);
+    const headers = (rows[0] || []).map(h => h.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+    const columns = {};
+    Object.entries(PLAYER_COLUMNS).forEach(([field, aliases]) => {
+      const index = headers.findIndex(h => aliases.includes(h));
+      if (index !== -1) columns[field] = index;
+    });
+    if (columns.name === undefined || columns.team === undefined || columns.position === undefined) {
+      return { error: 'The player CSV needs a header row with name, team and position columns' };
+    }
+    records = rows.slice(1).map(row => ({
+      id: columns.id !== undefined ? row[columns.id] : '',
+      name: row[columns.name],
+      team: row[columns.team],
+      position: row[columns.position]
+    }));
+  }
+
+  if (records.length === 0) return { error: 'The player file has no players in it' };
+  if (records.length > MAX_POOL_PLAYERS) return { error: `The player file has too many players (${MAX_POOL_PLAYERS} maximum)` };
+
+  const problems = [];
+  const players = [];
+  const rowById = new Map();
+  records.forEach((record, index) => {
+    const { player, error } = buildPlayer(record);
+    if (error) {
+      problems.push(`Player ${index + 1} ${error}`);
+    } else if (rowById.has(player.id)) {
+      problems.push(`Players ${rowById.get(player.id)} and ${index + 1} have the same id "${player.id}"`);
+    } else {
+      rowById.set(player.id, index + 1);
+      players.push(player);
+    }
+  });
+  if (problems.length > 0) {
+    return { error: problems.slice(0, 5).join('; ') + (problems.length > 5 ? `; and ${problems.length - 5} more` : '') };
+  }
+  return { players };
+}
+
+// Helper: Switch a room to a new player pool (null restores players.json). Keepers must all still be
+// in it; queues, rankings and injury statuses drop anyone who isn't. Returns an error message or null.
+function setPlayerPool(room, players) {
+  const { draftState } = room;
+  const pool = players || allPlayers;
+  const ids = new Set(pool.map(p => p.id));
+
+  const missingKeeper = draftState.keepers.find(k => !ids.has(k.playerId));
+  if (missingKeeper) {
+    const player = findPlayerById(room, missingKeeper.playerId);
+    return `${player ? player.name : 'A keeper'} is a keeper; remove the keeper before taking them out of the pool`;
+  }
+
+  draftState.players = players;
+  draftState.teams.forEach(team => {
+    team.queue = team.queue.filter(id => ids.has(id));
+    emitQueue(team);
+  });
+  Object.keys(draftState.rankings).forEach(id => {
+    if (!ids.has(id)) delete draftState.rankings[id];
+  });
+  Object.keys(draftState.playerStatuses).forEach(id => {
+    if (!ids.has(id)) delete draftState.playerStatuses[id];
+  });
+  return null;
+}
+
+// Helper: Replace a room's player pool from an uploaded CSV or JSON file (before the draft starts).
+// Shared by the socket event and the HTTP endpoint. Returns an error message or null.
+function importPlayerPool(room, text, importedBy) {
+  const { draftState } = room;
+  if (draftState.phase !== 'setup') return 'The player pool can only be changed before the draft starts';
+  if (typeof text !== 'string' || text.trim() === '') return 'Choose a player file (CSV or JSON) to import';
+  if (text.length > MAX_PLAYER_FILE_LENGTH) return 'The player file is too large (500 KB maximum)';
+
+  const result = parsePlayerFile(text);
+  if (result.error) return result.error;
+
+  const error = setPlayerPool(room, result.players);
+  if (error) return error;
+
+  logRoom(room, `Player pool replaced by ${importedBy}: ${result.players.length} players`);
+  persistState(room);
+  io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  return null;
+}
+
+// Helper: Get available players (not drafted), with any imported ranking fields and injury status merged on
+function getAvailablePlayers(room) {
+  const { draftState } = room;
+  return getPlayerPool(room)
+    .filter(p => !draftState.draftedPlayerIds.has(p.id))
+    .map(p => {
+      const ranking = draftState.rankings[p.id];
+      const injury = draftState.playerStatuses[p.id];
+      if (!ranking && !injury) return p;
+      return { ...p, ...ranking, ...(injury ? { status: injury.status, statusNote: injury.note } : {}) };
+    });
+}
+
+// Helper: Parse CSV text into rows of trimmed cells (handles quoted cells, "" escapes and CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+// Helper: Player name reduced for matching: no accents, punctuation or suffixes (Jr., III, ...)
+function normalizePlayerName(name) {
+  return String(name)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !['jr', 'sr', 'ii', 'iii', 'iv', 'v'].includes(word))
+    .join(' ');
+}
+
+// Helper: Edit distance between two strings, for typo-tolerant name matching
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Helper: Find the player a rankings row refers to: by ID, then by name (a defense by its team),
+// then by the closest name within a couple of typos. Returns null when there's no single clear match.
+function matchRankingRow(room, row) {
+  if (row.id) {
+    const byId = findPlayerById(room, row.id);
+    if (byId) return byId;
+  }
+  if (!row.name) return null;
+
+  const team = row.team ? row.team.toUpperCase() : null;
+  const position = row.position ? normalizePosition(row.position) : null;
+  const name = normalizePlayerName(row.name);
+  const candidates = getPlayerPool(room).filter(p => (!team || p.team === team) && (!position || p.position === position));
+
+  // Defenses go by many names ("Chiefs D/ST", "Kansas City Chiefs", "KC DEF"): match on team or nickname
+  if (position === 'DST' || /\b(dst|def|defense)\b/.test(name)) {
+    const defenses = candidates.filter(p => p.position === 'DST');
+    const byNickname = defenses.filter(p => name.includes(normalizePlayerName(p.name.split(' ')[0])));
+    if (byNickname.length === 1) return byNickname[0];
+    if (team && defenses.length === 1) return defenses[0];
+  }
+
+  const exact = candidates.filter(p => normalizePlayerName(p.name) === name);
+  if (exact.length === 1) return exact[0];
+  if (exact.length > 1) return null;
 
-// Chat messages (kept separate, not sent with every state update)
-const chatMessages = [];
+  const scored = candidates
+    .map(p => ({ p, distance: editDistance(normalizePlayerName(p.name), name) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  if (scored.length === 1 || (scored.length > 1 && scored[0].distance < scored[1].distance)) {
+    return scored[0].p;
+  }
+  return null;
+}
+
+// Helper: Turn an uploaded rankings CSV into { rankings: { [playerId]: {...} }, matched, unmatched }, or { error }.
+// Rows are matched onto the player pool; positional ranks are worked out when the file doesn't have them.
+function buildRankingsFromCsv(room, csv) {
+  const rows = parseCsv(csv);
+  if (rows.length < 2) return { error: 'The rankings file needs a header row and at least one player' };
+
+  const headers = rows[0].map(h => h.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+  const columns = {};
+  Object.entries(RANKING_COLUMNS).forEach(([field, aliases]) => {
+    const index = headers.findIndex(h => aliases.includes(h));
+    if (index !== -1) columns[field] = index;
+  });
+  if (columns.id === undefined && columns.name === undefined) return { error: 'The rankings file needs an id or name column' };
+  if (columns.rank === undefined && columns.projPoints === undefined) {
+    return { error: 'The rankings file needs a rank or projected points column' };
+  }
+
+  const number = value => {
+    const n = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(n) ? n : null;
+  };
+  const cell = (row, field) => (columns[field] !== undefined ? row[columns[field]] : undefined);
+
+  const entries = [];
+  const unmatched = [];
+  rows.slice(1, MAX_RANKING_ROWS + 1).forEach(row => {
+    const player = matchRankingRow(room, {
+      id: cell(row, 'id'),
+      name: cell(row, 'name'),
+      team: cell(row, 'team'),
+      position: cell(row, 'position')
+    });
+    if (!player || entries.some(e => e.player.id === player.id)) {
+      unmatched.push(cell(row, 'name') || cell(row, 'id') || '?');
+      return;
+    }
+    entries.push({
+      player,
+      rank: number(cell(row, 'rank')),
+      posRank: number(cell(row, 'posRank')),
+      projPoints: number(cell(row, 'projPoints')),
+      playoffGames: number(cell(row, 'playoffGames')),
+      tier: number(cell(row, 'tier'))
+    });
+  });
+  if (entries.length === 0) return { error: 'None of the players in the rankings file matched the player pool' };
+
+  // Without a rank column, rank by projected points
+  entries.sort((a, b) =>
+    (a.rank !== null && b.rank !== null) ? a.rank - b.rank : (b.projPoints || 0) - (a.projPoints || 0)
+  );
+  const positionCounts = {};
+  const rankings = {};
+  entries.forEach((entry, index) => {
+    positionCounts[entry.player.position] = (positionCounts[entry.player.position] || 0) + 1;
+    rankings[entry.player.id] = {
+      rank: entry.rank !== null ? entry.rank : index + 1,
+      posRank: entry.posRank !== null ? entry.posRank : positionCounts[entry.player.position],
+      projPoints: entry.projPoints,
+      playoffGames: entry.playoffGames,
+      tier: entry.tier
+    };
+  });
 
-// Helper: Get available players (not drafted)
-function getAvailablePlayers() {
-  return allPlayers.filter(p => !draftState.draftedPlayerIds.has(p.id));
+  return { rankings, matched: entries.length, unmatched };
 }
 
 // Helper: Find team by socket ID
-function findTeamBySocketId(socketId) {
+function findTeamBySocketId(room, socketId) {
+  const { draftState } = room;
   return draftState.teams.find(t => t.socketId === socketId);
 }
 
 // Helper: Find team by ID
-function findTeamById(teamId) {
+function findTeamById(room, teamId) {
+  const { draftState } = room;
   return draftState.teams.find(t => t.id === teamId);
 }
 
 // Helper: Find team by name (case-insensitive)
-function findTeamByName(name) {
+function findTeamByName(room, name) {
+  const { draftState } = room;
   return draftState.teams.find(t => t.name.toLowerCase() === name.toLowerCase());
 }
 
 // Helper: Find watcher by socket ID
-function findWatcherBySocketId(socketId) {
+function findWatcherBySocketId(room, socketId) {
+  const { draftState } = room;
   return draftState.watchers.find(w => w.socketId === socketId);
 }
 
 // Helper: Find watcher by name (case-insensitive)
-function findWatcherByName(name) {
+function findWatcherByName(room, name) {
+  const { draftState } = room;
   return draftState.watchers.find(w => w.name.toLowerCase() === name.toLowerCase());
 }
 
+// Helper: Connection status of a team or watcher: 'online', 'idle' (tab hidden or untouched for a while)
+// or 'offline', plus when they were last active
+function getPresence(member) {
+  const status = !member.socketId ? 'offline' : member.idle ? 'idle' : 'online';
+  return { status, lastSeen: member.lastSeen || null };
+}
+
+// Helper: Tell everyone in the room that a team's or watcher's presence changed
+function emitPresence(room, member) {
+  io.to(room.id).emit('presence-updated', { id: member.id, ...getPresence(member) });
+}
+
 // Helper: Get current picker team
-function getCurrentPicker() {
+function getCurrentPicker(room) {
+  const { draftState } = room;
   if (draftState.phase !== 'drafting' || draftState.currentPickIndex >= draftState.draftOrder.length) {
     return null;
   }
   const teamId = draftState.draftOrder[draftState.currentPickIndex];
-  return findTeamById(teamId);
+  return findTeamById(room, teamId);
+}
+
+// Helper: Build the roster slot list from per-type counts (types with no count are left out)
+function buildRosterSlots(counts) {
+  return ROSTER_SLOT_TYPES
+    .filter(type => counts[type.id] > 0)
+    .map(type => ({ ...type, count: counts[type.id] }));
+}
+
+// Helper: Players each team drafts (one round per roster spot)
+function getRosterSize(room) {
+  const { draftState } = room;
+  return draftState.settings.rosterSlots.reduce((sum, slot) => sum + slot.count, 0);
+}
+
+// Helper: Empty roster with an array for every slot in the league settings
+function createEmptyRoster(room) {
+  const { draftState } = room;
+  const roster = {};
+  draftState.settings.rosterSlots.forEach(slot => {
+    roster[slot.id] = [];
+  });
+  return roster;
+}
+
+// Helper: Every player on a team's roster, in slot order
+function getRosterPlayers(room, team) {
+  const { draftState } = room;
+  return draftState.settings.rosterSlots.flatMap(slot => team.roster[slot.id] || []);
+}
+
+// Helper: Most specific roster slot with room for a position, or null if none
+function findOpenSlot(room, team, position) {
+  const { draftState } = room;
+  const open = draftState.settings.rosterSlots.filter(slot =>
+    slot.positions.includes(position) && (team.roster[slot.id] || []).length < slot.count
+  );
+  open.sort((a, b) => a.positions.length - b.positions.length);
+  return open[0] || null;
 }
 
 // Helper: Check if team can draft a position
-function canDraftPosition(team, position) {
-  const limits = { QB: 1, RB: 2, WR_TE: 3, K: 1 };
+function canDraftPosition(room, team, position) {
+  return findOpenSlot(room, team, position) !== null;
+}
 
-  if (position === 'QB') return team.roster.QB.length < limits.QB;
-  if (position === 'RB') return team.roster.RB.length < limits.RB;
-  if (position === 'WR' || position === 'TE') return team.roster.WR_TE.length < limits.WR_TE;
-  if (position === 'K') return team.roster.K.length < limits.K;
+// Helper: Put a player in the best open slot on a team's roster
+function addToRoster(room, team, player) {
+  const slot = findOpenSlot(room, team, player.position);
+  team.roster[slot.id].push(player);
+}
 
-  return false;
+// Helper: Re-slot every player so dedicated slots are full before flexible ones.
+// Needed after a removal (a FLEX RB should move into an opened RB slot) or a settings change.
+function repackRoster(room, team) {
+  const players = Object.values(team.roster).flat();
+  team.roster = createEmptyRoster(room);
+  players.forEach(player => {
+    if (findOpenSlot(room, team, player.position)) {
+      addToRoster(room, team, player);
+    }
+  });
 }
 
-// Helper: Get roster slot for position
-function getRosterSlot(position) {
-  if (position === 'WR' || position === 'TE') return 'WR_TE';
-  return position;
+// Helper: Take a player off a team's roster
+function removeFromRoster(room, team, playerId) {
+  Object.keys(team.roster).forEach(slotId => {
+    team.roster[slotId] = team.roster[slotId].filter(p => p.id !== playerId);
+  });
+  repackRoster(room, team);
 }
 
-// Helper: Generate snake draft order
-function generateSnakeDraftOrder(teams) {
-  // Shuffle teams randomly
-  const shuffled = [...teams].sort(() => Math.random() - 0.5);
+// Helper: Generate the full pick order for the league's format from the first-round order
+function generateDraftOrder(room, teamIds) {
+  const { draftState } = room;
+  const { format, customOrder } = draftState.settings;
+
+  if (format === 'custom') {
+    return customOrder.flat();
+  }
+
   const order = [];
 
-  // Total picks: 7 rounds × number of teams
-  const rounds = 7;
+  // One round per roster spot
+  const rounds = getRosterSize(room);
   for (let round = 0; round < rounds; round++) {
-    if (round % 2 === 0) {
-      // Even rounds: normal order
-      order.push(...shuffled.map(t => t.id));
+    let reversed;
+    if (format === 'linear') {
+      reversed = false;
+    } else if (format === 'third-round-reversal') {
+      // 1-8, 8-1, 8-1, then alternate: 1-8, 8-1, ...
+      reversed = round === 1 || (round >= 2 && round % 2 === 0);
     } else {
-      // Odd rounds: reverse order
-      order.push(...shuffled.slice().reverse().map(t => t.id));
+      // Snake: odd rounds reverse
+      reversed = round % 2 === 1;
     }
+    order.push(...(reversed ? teamIds.slice().reverse() : teamIds));
   }
 
   return order;
 }
 
-// Helper: Generate unique team ID
-function generateTeamId() {
-  return 'team-' + Math.random().toString(36).substr(2, 9);
+// Helper: Check a custom pick order against the teams and roster size.
+// Every round has one pick per team; traded picks just move a pick to another team,
+// so a team may pick twice in one round and not at all in another.
+// Returns an error message, or null if the order is usable.
+function validateCustomOrder(room, customOrder, rosterSlots) {
+  const { draftState } = room;
+  const rounds = rosterSlots.reduce((sum, slot) => sum + slot.count, 0);
+  const teamCount = draftState.teams.length;
+
+  if (!Array.isArray(customOrder) || customOrder.length !== rounds ||
+      !customOrder.every(round => Array.isArray(round) && round.length === teamCount)) {
+    return `Custom pick order needs ${rounds} rounds of ${teamCount} picks`;
+  }
+
+  const picksPerTeam = new Map(draftState.teams.map(t => [t.id, 0]));
+  for (const teamId of customOrder.flat()) {
+    if (!picksPerTeam.has(teamId)) {
+      return 'Custom pick order includes a team that isn\'t in the draft';
+    }
+    picksPerTeam.set(teamId, picksPerTeam.get(teamId) + 1);
+  }
+
+  const wrongCount = draftState.teams.find(t => picksPerTeam.get(t.id) !== rounds);
+  if (wrongCount) {
+    return `${wrongCount.name} has ${picksPerTeam.get(wrongCount.id)} picks in the custom order but needs ${rounds}`;
+  }
+
+  return null;
 }
 
-// Helper: Serialize draft state for client (convert Set to Array)
-function serializeDraftState() {
-  return {
-    draftId: DRAFT_ID,
-    phase: draftState.phase,
-    teams: draftState.teams,
-    watchers: draftState.watchers.map(w => ({ id: w.id, name: w.name })),
-    draftOrder: draftState.draftOrder,
-    currentPickIndex: draftState.currentPickIndex,
-    picks: draftState.picks,
-    draftedPlayerIds: Array.from(draftState.draftedPlayerIds),
-    paused: draftState.paused
-  };
+// Helper: Round (0-based) a pick falls in. Every format has one pick per team per round.
+function getPickRound(room, pickIndex) {
+  const { draftState } = room;
+  return Math.floor(pickIndex / draftState.teams.length);
 }
 
-// Helper: Save draft results to file
-function saveDraftResults() {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `draft-results-${timestamp}.json`;
+// Helper: Match each keeper to their team's pick in the keeper's round.
+// Returns { picks } (keeper picks in pick order) or { error } if a team has no pick left in that round.
+function assignKeeperPicks(room, draftOrder) {
+  const { draftState } = room;
+  const used = new Set();
+  const picks = [];
+
+  for (const keeper of draftState.keepers) {
+    const index = draftOrder.findIndex((teamId, i) =>
+      teamId === keeper.teamId && getPickRound(room, i) === keeper.round - 1 && !used.has(i)
+    );
+    if (index === -1) {
+      const team = findTeamById(room, keeper.teamId);
+      return { error: `${team.name} has no round ${keeper.round} pick to spend on their keeper` };
+    }
 
-  const results = {
-    completedAt: new Date().toISOString(),
-    draftId: DRAFT_ID,
-    teams: draftState.teams.map(team => ({
-      name: team.name,
-      roster: {
-        QB: team.roster.QB.map(p => ({ name: p.name, team: p.team })),
-        RB: team.roster.RB.map(p => ({ name: p.name, team: p.team })),
-        WR_TE: team.roster.WR_TE.map(p => ({ name: p.name, team: p.team, position: p.position })),
-        K: team.roster.K.map(p => ({ name: p.name, team: p.team }))
-      }
-    })),
-    pickHistory: draftState.picks.map(pick => {
-      const team = findTeamById(pick.teamId);
-      const player = allPlayers.find(p => p.id === pick.playerId);
-      return {
-        pickNumber: pick.pickNumber,
-        teamName: team ? team.name : 'Unknown',
-        playerName: player ? player.name : 'Unknown',
-        position: player ? player.position : 'Unknown',
-        nflTeam: player ? player.team : 'Unknown'
-      };
-    })
+    used.add(index);
+    picks.push({ teamId: keeper.teamId, playerId: keeper.playerId, pickNumber: index + 1, timestamp: Date.now(), keeper: true });
+  }
+
+  return { picks: picks.sort((a, b) => a.pickNumber - b.pickNumber) };
+}
+
+// Helper: Whether a pick slot is already used: spent on a keeper, or kept ahead of the clock by a rewind
+function isPickMade(room, pickIndex) {
+  const { draftState } = room;
+  return draftState.picks.some(p => p.pickNumber === pickIndex + 1);
+}
+
+// Helper: Move the current pick past any slots that are already used
+function skipMadePicks(room) {
+  const { draftState } = room;
+  while (draftState.currentPickIndex < draftState.draftOrder.length && isPickMade(room, draftState.currentPickIndex)) {
+    draftState.currentPickIndex++;
+  }
+}
+
+// Helper: Whether a set of players can all be slotted into one team's roster
+function playersFitRoster(room, players) {
+  const trialTeam = { roster: createEmptyRoster(room) };
+  return players.every(player => {
+    const slot = findOpenSlot(room, trialTeam, player.position);
+    if (!slot) return false;
+    trialTeam.roster[slot.id].push(player);
+    return true;
+  });
+}
+
+// Helper: Whether every team's keepers fit a roster layout (used before changing roster slots)
+function keepersFitRoster(room, rosterSlots) {
+  const { draftState } = room;
+  const trialRoom = { draftState: { ...draftState, settings: { ...draftState.settings, rosterSlots } } };
+  const rounds = rosterSlots.reduce((sum, slot) => sum + slot.count, 0);
+
+  return draftState.teams.every(team => {
+    const trialTeam = { roster: createEmptyRoster(trialRoom) };
+    return draftState.keepers.filter(k => k.teamId === team.id).every(keeper => {
+      const player = findPlayerById(room, keeper.playerId);
+      const slot = keeper.round <= rounds && findOpenSlot(trialRoom, trialTeam, player.position);
+      if (!slot) return false;
+      trialTeam.roster[slot.id].push(player);
+      return true;
+    });
+  });
+}
+
+// Helper: Seeded 32-bit PRNG (mulberry32), so a lottery can be replayed from its seed
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
+}
+
+// Helper: Unbiased Fisher-Yates shuffle of teams in join order, driven by the seed
+function runDraftLottery(room, seed) {
+  const { draftState } = room;
+  const random = createSeededRandom(seed);
+  const order = draftState.teams.map(t => t.id);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// Helper: Seconds allowed for the pick at a given index (0 = no clock)
+function getPickSeconds(room, pickIndex) {
+  const { draftState } = room;
+  const round = getPickRound(room, pickIndex);
+  const { seconds, secondsByRound } = draftState.settings.pickClock;
+  const override = secondsByRound[round];
+  return Number.isInteger(override) ? override : seconds;
+}
+
+// Helper: Stop the running pick timer without touching the saved clock
+function clearPickTimer(room) {
+  if (room.pickTimer) {
+    clearTimeout(room.pickTimer);
+    room.pickTimer = null;
+  }
+}
+
+// Helper: Schedule the expiry callback for a running clock
+function schedulePickTimer(room) {
+  const { draftState } = room;
+  clearPickTimer(room);
+  const pickIndex = draftState.currentPickIndex;
+  room.pickTimer = setTimeout(guardCallback(room, 'pick clock', () => {
+    room.pickTimer = null;
+    // Guard against a pick landing in the same tick the timer fires
+    if (draftState.currentPickIndex === pickIndex) {
+      handlePickClockExpired(room);
+    }
+  }), Math.max(0, draftState.clock.deadline - Date.now()));
+}
+
+// Helper: Start a full clock for the current pick (frozen if the draft is paused)
+function startPickClock(room) {
+  const { draftState } = room;
+  clearPickTimer(room);
+  // While an auction lot is open, the clock counts down bidding instead of the nomination
+  const seconds = draftState.lot
+    ? draftState.settings.auction.bidSeconds
+    : getPickSeconds(room, draftState.currentPickIndex);
+
+  if (draftState.phase !== 'drafting' || seconds <= 0) {
+    draftState.clock = null;
+    return;
+  }
+
+  if (draftState.paused) {
+    draftState.clock = { deadline: null, remainingMs: seconds * 1000 };
+    return;
+  }
+
+  draftState.clock = { deadline: Date.now() + seconds * 1000, remainingMs: null };
+  schedulePickTimer(room);
+}
+
+// Helper: Freeze the clock at its remaining time
+function pausePickClock(room) {
+  const { draftState } = room;
+  clearPickTimer(room);
+  if (draftState.clock && draftState.clock.deadline) {
+    draftState.clock = {
+      deadline: null,
+      remainingMs: Math.max(0, draftState.clock.deadline - Date.now())
+    };
+  }
+}
+
+// Helper: Restart a frozen clock from where it stopped
+function resumePickClock(room) {
+  const { draftState } = room;
+  if (!draftState.clock || draftState.clock.remainingMs === null) {
+    return;
+  }
+  draftState.clock = { deadline: Date.now() + draftState.clock.remainingMs, remainingMs: null };
+  schedulePickTimer(room);
+}
+
+// Helper: Called when the team on the clock runs out of time
+function handlePickClockExpired(room) {
+  const { draftState } = room;
+  if (draftState.lot) {
+    closeAuctionLot(room);
+    return;
+  }
+
+  const picker = getCurrentPicker(room);
+  if (!picker) return;
+
+  logRoom(room, `Pick clock expired for ${picker.name} (pick #${draftState.currentPickIndex + 1})`);
+  io.to(room.id).emit('pick-clock-expired', { teamId: picker.id, teamName: picker.name, pickNumber: draftState.currentPickIndex + 1 });
+
+  if (!makeAutoPick(room, picker, 'clock')) {
+    // Nothing legal to pick; leave the team on the clock at 0:00
+    draftState.clock = { deadline: null, remainingMs: 0 };
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }
+}
+
+// Helper: Players in the order auto-picks take them: imported rankings first, best rank first.
+// Unranked players follow in depth-chart order: every team's first-listed player at a position
+// before anyone's backup, with kickers and defenses last among equals.
+function getAutoPickRanking(room) {
+  const { rankings } = room.draftState;
+  const pool = getPlayerPool(room);
+  const depthCounts = {};
+  const depth = new Map();
+  pool.forEach(p => {
+    const key = p.team + '-' + p.position;
+    depthCounts[key] = (depthCounts[key] || 0) + 1;
+    depth.set(p.id, depthCounts[key]);
+  });
+
+  return pool
+    .map((p, index) => ({ p, index }))
+    .sort((a, b) =>
+      (rankings[a.p.id] ? rankings[a.p.id].rank : Infinity) - (rankings[b.p.id] ? rankings[b.p.id].rank : Infinity) ||
+      depth.get(a.p.id) - depth.get(b.p.id) ||
+      POSITIONS.indexOf(a.p.position) - POSITIONS.indexOf(b.p.position) ||
+      a.index - b.index
+    )
+    .map(({ p }) => p);
+}
+
+// Helper: Best available player the team can legally draft, or null.
+// The team's own queue comes first, then the overall ranking (skipping Out and IR players and
+// players whose NFL team is out of the playoffs).
+function chooseAutoPick(room, team) {
+  const { draftState } = room;
+  const isLegal = p => p && !draftState.draftedPlayerIds.has(p.id) && canDraftPosition(room, team, p.position);
+
+  const queued = team.queue
+    .map(playerId => findPlayerById(room, playerId))
+    .find(isLegal);
+  if (queued) return queued;
+
+  const eliminated = getEliminatedTeams(room);
+  const isHealthy = p => !UNAVAILABLE_STATUSES.includes((draftState.playerStatuses[p.id] || {}).status) &&
+                         !eliminated.has(p.team);
+  return getAutoPickRanking(room).find(p => isLegal(p) && isHealthy(p)) || null;
+}
+
+// Helper: Send a team its private queue (only to that team's own connection)
+function emitQueue(team) {
+  if (team.socketId) {
+    io.to(team.socketId).emit('queue-updated', { playerIds: team.queue });
+  }
+}
+
+// Helper: Drop a drafted player from every team's queue
+function removeFromQueues(room, playerId) {
+  const { draftState } = room;
+  draftState.teams.forEach(team => {
+    if (team.queue.includes(playerId)) {
+      team.queue = team.queue.filter(id => id !== playerId);
+      emitQueue(team);
+    }
+  });
+}
+
+// Helper: Draft for a team that isn't picking itself. Returns false if nothing legal is left.
+function makeAutoPick(room, team, reason) {
+  const player = chooseAutoPick(room, team);
+  if (!player) {
+    logRoom(room, `No legal auto-pick available for ${team.name}`);
+    return false;
+  }
+
+  if (isAuction(room)) {
+    logRoom(room, `Auto-nominating for ${team.name} (${reason})`);
+    openAuctionLot(room, team, player, AUCTION_MIN_BID);
+    return true;
+  }
+
+  logRoom(room, `Auto-picking for ${team.name} (${reason})`);
+  makePick(room, team, player, { autoPick: true });
+  return true;
+}
+
+// Helper: Queue an auto-pick if the team on the clock is away or has autodraft on.
+// Call whenever the current pick, pause state, or the picker's connection/autodraft changes.
+function scheduleAutoPick(room) {
+  const { draftState } = room;
+  if (room.autoPickTimer) {
+    clearTimeout(room.autoPickTimer);
+    room.autoPickTimer = null;
+  }
+
+  // Nobody picks for absent teams mid-auction; the lot just runs out its bid clock
+  const picker = getCurrentPicker(room);
+  if (!picker || draftState.paused || draftState.lot) return;
+
+  let delay;
+  let reason;
+  if (picker.autodraft) {
+    delay = AUTOPICK_DELAY_MS;
+    reason = 'autodraft';
+  } else if (!picker.socketId) {
+    delay = AUTOPICK_DISCONNECT_SECONDS * 1000;
+    reason = 'disconnected';
+  } else {
+    return;
+  }
+
+  const pickIndex = draftState.currentPickIndex;
+  room.autoPickTimer = setTimeout(guardCallback(room, 'auto-pick', () => {
+    room.autoPickTimer = null;
+    // Re-check in case the team came back or the pick changed in the meantime
+    const current = getCurrentPicker(room);
+    if (draftState.currentPickIndex !== pickIndex || draftState.paused || current !== picker) return;
+    if (reason === 'disconnected' && picker.socketId) return;
+    if (reason === 'autodraft' && !picker.autodraft) return;
+    makeAutoPick(room, picker, reason);
+  }), delay);
+}
+
+// Helper: Record a pick, advance the draft and notify everyone. Callers validate first.
+// A pickIndex other than the current pick fills that slot ahead of the clock (the draft skips it later).
+function makePick(room, team, player, details = {}, pickIndex = room.draftState.currentPickIndex) {
+  const { draftState } = room;
+  // Auction prices ride along on the roster entry so rosters and results can show them
+  addToRoster(room, team, details.price !== undefined ? { ...player, price: details.price } : player);
+  draftState.draftedPlayerIds.add(player.id);
+  removeFromQueues(room, player.id);
+
+  const pickNumber = pickIndex + 1;
+  const viaTeamId = isAuction(room) ? null : getTradedPickOrigin(room, pickNumber);
+  draftState.picks.push({
+    teamId: team.id,
+    playerId: player.id,
+    pickNumber: pickNumber,
+    timestamp: Date.now(),
+    ...(viaTeamId && viaTeamId !== team.id ? { viaTeamId } : {}),
+    ...details
+  });
+
+  logRoom(room, `Pick #${pickNumber}: ${team.name} drafts ${player.name} (${player.position})` +
+                (details.price !== undefined ? ` for $${details.price}` : '') + (details.autoPick ? ' [auto]' : '') +
+                (details.enteredBy ? ` [entered by ${details.enteredBy}]` : ''));
+
+  // Advance to next pick (a pick made ahead of the clock leaves the current pick alone)
+  if (pickIndex === draftState.currentPickIndex) {
+    draftState.currentPickIndex++;
+    if (isAuction(room)) {
+      planNominationOrder(room);
+    } else {
+      skipMadePicks(room);
+    }
+
+    // Check if draft is complete
+    if (draftState.currentPickIndex >= draftState.draftOrder.length) {
+      draftState.phase = 'complete';
+      logRoom(room, 'Draft complete!');
+      saveDraftResults(room);
+    }
+    startPickClock(room);
+    scheduleAutoPick(room);
+  }
+  persistState(room);
+
+  // Notify all clients
+  io.to(room.id).emit('player-drafted', {
+    playerId: player.id,
+    teamId: team.id,
+    teamName: team.name,
+    playerName: player.name,
+    playerPosition: player.position,
+    playerTeam: player.team,
+    pickNumber: pickNumber,
+    autoPick: !!details.autoPick,
+    enteredBy: details.enteredBy || null,
+    price: details.price !== undefined ? details.price : null
+  });
+  io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+}
+
+// Helper: Whether the room runs an auction rather than turn-based picks
+function isAuction(room) {
+  return room.draftState.settings.draftType === 'auction';
+}
+
+// Helper: Roster spots a team still has to fill
+function getOpenRosterSpots(room, team) {
+  return getRosterSize(room) - getRosterPlayers(room, team).length;
+}
+
+// Helper: Most a team can bid while keeping the minimum bid for each of its other open spots
+function getMaxBid(room, team) {
+  const openSpots = getOpenRosterSpots(room, team);
+  if (openSpots <= 0) return 0;
+  return team.budget - (openSpots - 1) * AUCTION_MIN_BID;
+}
+
+// Helper: Rebuild the upcoming nomination order from the current pick on. Nominations rotate
+// through the first-round order, skipping teams with full rosters. Later entries are a forecast
+// (they assume each nominator fills a spot), so this runs again after every lot.
+function planNominationOrder(room) {
+  const { draftState } = room;
+  const rotation = draftState.orderSetup.teamIds;
+  const openSpots = new Map(draftState.teams.map(t => [t.id, getOpenRosterSpots(room, t)]));
+  let remaining = Array.from(openSpots.values()).reduce((sum, n) => sum + n, 0);
+
+  const previous = draftState.draftOrder[draftState.currentPickIndex - 1];
+  let i = previous ? rotation.indexOf(previous) + 1 : 0;
+  const upcoming = [];
+  while (remaining > 0) {
+    const teamId = rotation[i % rotation.length];
+    if (openSpots.get(teamId) > 0) {
+      upcoming.push(teamId);
+      openSpots.set(teamId, openSpots.get(teamId) - 1);
+      remaining--;
+    }
+    i++;
+  }
+
+  draftState.draftOrder = draftState.draftOrder.slice(0, draftState.currentPickIndex).concat(upcoming);
+}
+
+// Helper: Put a player up for bids, with the nominating team holding the opening bid. Callers validate first.
+function openAuctionLot(room, team, player, bid) {
+  const { draftState } = room;
+  draftState.lot = { playerId: player.id, nominatedBy: team.id, bid, bidderId: team.id };
+  startPickClock(room);
+  scheduleAutoPick(room);
+
+  logRoom(room, `${team.name} nominates ${player.name} for $${bid}`);
+  persistState(room);
+  io.to(room.id).emit('auction-bid', { playerId: player.id, playerName: player.name, teamId: team.id, teamName: team.name, bid, nomination: true });
+  io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+}
+
+// Helper: Bidding ran out: the high bidder pays and gets the player
+function closeAuctionLot(room) {
+  const { draftState } = room;
+  const lot = draftState.lot;
+  const winner = findTeamById(room, lot.bidderId);
+  const player = findPlayerById(room, lot.playerId);
+
+  draftState.lot = null;
+  winner.budget -= lot.bid;
+  makePick(room, winner, player, { price: lot.bid, nominatedBy: lot.nominatedBy });
+}
+
+// Helper: Team a traded pick originally belonged to, or null if it was never traded
+function getTradedPickOrigin(room, pickNumber) {
+  const { draftState } = room;
+  const trade = draftState.trades.find(t =>
+    t.status === 'completed' && (t.give.picks.includes(pickNumber) || t.get.picks.includes(pickNumber))
+  );
+  if (!trade) return null;
+  return trade.give.picks.includes(pickNumber) ? trade.fromTeamId : trade.toTeamId;
+}
+
+// Helper: Check a trade against the draft as it stands right now. Picks must be upcoming and
+// owned by the side giving them, players must be on that side's roster, both sides must swap the
+// same number of picks plus players (so every team still ends with a full roster), and each
+// team's players after the trade must fit its roster slots.
+// Returns an error message, or null if the trade can go through.
+function validateTrade(room, trade) {
+  const { draftState } = room;
+  const fromTeam = findTeamById(room, trade.fromTeamId);
+  const toTeam = findTeamById(room, trade.toTeamId);
+
+  if (draftState.phase !== 'drafting') return 'Trades can only happen while the draft is in progress';
+  if (isAuction(room)) return 'Picks can\'t be traded in an auction draft';
+  if (!fromTeam || !toTeam || fromTeam === toTeam) return 'Trades need two different teams';
+
+  const { give, get } = trade;
+  const giveCount = give.picks.length + give.players.length;
+  const getCount = get.picks.length + get.players.length;
+  if (giveCount === 0 || getCount === 0) return 'Each side of a trade must include at least one pick or player';
+  if (giveCount !== getCount) return 'Both sides must trade the same number of picks plus players';
+
+  const ownsPick = (team, pickNumber) => {
+    const index = pickNumber - 1;
+    return Number.isInteger(pickNumber) &&
+           index >= draftState.currentPickIndex && index < draftState.draftOrder.length &&
+           draftState.draftOrder[index] === team.id && !isPickMade(room, index);
+  };
+  const badPick = give.picks.find(n => !ownsPick(fromTeam, n)) || get.picks.find(n => !ownsPick(toTeam, n));
+  if (badPick !== undefined) return `Pick #${badPick} isn't an upcoming pick owned by that team`;
+  if (new Set(give.picks.concat(get.picks)).size !== give.picks.length + get.picks.length) return 'A pick is listed twice';
+
+  const fromPlayers = getRosterPlayers(room, fromTeam);
+  const toPlayers = getRosterPlayers(room, toTeam);
+  const hasPlayer = (players, id) => players.some(p => p.id === id);
+  if (!give.players.every(id => hasPlayer(fromPlayers, id))) return `A player offered isn't on ${fromTeam.name}'s roster`;
+  if (!get.players.every(id => hasPlayer(toPlayers, id))) return `A player requested isn't on ${toTeam.name}'s roster`;
+
+  const { fromAfter, toAfter } = getRostersAfterTrade(room, trade);
+  if (!playersFitRoster(room, fromAfter)) return `${fromTeam.name} wouldn't have roster slots for those players`;
+  if (!playersFitRoster(room, toAfter)) return `${toTeam.name} wouldn't have roster slots for those players`;
+
+  return null;
+}
+
+// Helper: Each side's players once the trade's players have changed hands
+function getRostersAfterTrade(room, trade) {
+  const fromPlayers = getRosterPlayers(room, findTeamById(room, trade.fromTeamId));
+  const toPlayers = getRosterPlayers(room, findTeamById(room, trade.toTeamId));
+  return {
+    fromAfter: fromPlayers.filter(p => !trade.give.players.includes(p.id))
+      .concat(toPlayers.filter(p => trade.get.players.includes(p.id))),
+    toAfter: toPlayers.filter(p => !trade.get.players.includes(p.id))
+      .concat(fromPlayers.filter(p => trade.give.players.includes(p.id)))
+  };
+}
+
+// Helper: Swap the picks and players in a validated trade
+function executeTrade(room, trade) {
+  const { draftState } = room;
+  const fromTeam = findTeamById(room, trade.fromTeamId);
+  const toTeam = findTeamById(room, trade.toTeamId);
+
+  trade.give.picks.forEach(n => { draftState.draftOrder[n - 1] = toTeam.id; });
+  trade.get.picks.forEach(n => { draftState.draftOrder[n - 1] = fromTeam.id; });
+
+  const { fromAfter, toAfter } = getRostersAfterTrade(room, trade);
+  fromTeam.roster = createEmptyRoster(room);
+  fromAfter.forEach(player => addToRoster(room, fromTeam, player));
+  toTeam.roster = createEmptyRoster(room);
+  toAfter.forEach(player => addToRoster(room, toTeam, player));
+
+  trade.status = 'completed';
+  trade.resolvedAt = Date.now();
+
+  // The current pick may have changed hands
+  scheduleAutoPick(room);
+  logRoom(room, `Trade completed between ${fromTeam.name} and ${toTeam.name}`);
+}
+
+// Helper: Tell the room a trade changed state (clients pick out the ones that concern them)
+function emitTradeUpdate(room, trade) {
+  const fromTeam = findTeamById(room, trade.fromTeamId);
+  const toTeam = findTeamById(room, trade.toTeamId);
+  io.to(room.id).emit('trade-updated', {
+    tradeId: trade.id,
+    status: trade.status,
+    fromTeamId: trade.fromTeamId,
+    fromTeamName: fromTeam ? fromTeam.name : 'Unknown',
+    toTeamId: trade.toTeamId,
+    toTeamName: toTeam ? toTeam.name : 'Unknown'
+  });
+}
+
+// Helper: Generate unique trade ID
+function generateTradeId() {
+  return 'trade-' + Math.random().toString(36).substr(2, 9);
+}
+
+// Helper: Generate unique team ID
+function generateTeamId() {
+  return 'team-' + Math.random().toString(36).substr(2, 9);
+}
+
+// Helper: Generate a secret token for commissioner authorization
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Helper: Get the commissioner role ('commissioner' | 'co-commissioner' | null) a token grants
+function getCommissionerRole(room, token) {
+  const { draftState } = room;
+  if (!token) return null;
+  if (draftState.commissioner && draftState.commissioner.token === token) return 'commissioner';
+  if (draftState.coCommissioners.some(c => c.token === token)) return 'co-commissioner';
+  return null;
+}
+
+// Helper: Check if a socket has presented a valid commissioner or co-commissioner token
+function isCommissioner(room, socket) {
+  return getCommissionerRole(room, socket.data.commissionerToken) !== null;
+}
+
+// Helper: Check if a socket holds the primary commissioner token
+function isPrimaryCommissioner(room, socket) {
+  return getCommissionerRole(room, socket.data.commissionerToken) === 'commissioner';
+}
+
+// Helper: Name of the team behind a socket's commissioner token (for logs)
+function getCommissionerName(room, socket) {
+  const { draftState } = room;
+  const token = socket.data.commissionerToken;
+  const holder = [draftState.commissioner, ...draftState.coCommissioners].find(c => c && c.token === token);
+  const team = holder && findTeamById(room, holder.teamId);
+  return team ? team.name : 'commissioner';
+}
+
+// Helper: Issue a commissioner token to a team's connected socket
+function grantCommissionerRole(room, team, role) {
+  const { draftState } = room;
+  const token = generateToken();
+  const grant = { teamId: team.id, token };
+
+  if (role === 'commissioner') {
+    draftState.commissioner = grant;
+  } else {
+    draftState.coCommissioners.push(grant);
+  }
+
+  const teamSocket = io.sockets.sockets.get(team.socketId);
+  if (teamSocket) {
+    teamSocket.data.commissionerToken = token;
+    teamSocket.emit('commissioner-granted', { token, role });
+  }
+}
+
+// Helper: Move a team's commissioner or co-commissioner role to the socket that just reclaimed
+// the team. The token is reissued, so a tab that lost the team loses the role with it.
+function restoreCommissionerRole(room, team, socket) {
+  const { draftState } = room;
+  const grant = [draftState.commissioner, ...draftState.coCommissioners].find(g => g && g.teamId === team.id);
+  if (!grant) return;
+
+  socket.data.commissionerToken = null;
+  revokeCommissionerToken(room, grant.token);
+  grant.token = generateToken();
+  socket.data.commissionerToken = grant.token;
+  socket.emit('commissioner-granted', { token: grant.token, role: getCommissionerRole(room, grant.token) });
+}
+
+// Helper: Tell any sockets in the room still holding a token that it no longer grants anything
+function revokeCommissionerToken(room, token) {
+  for (const s of io.sockets.sockets.values()) {
+    if (s.data.draftId === room.id && s.data.commissionerToken === token) {
+      s.data.commissionerToken = null;
+      s.emit('commissioner-revoked');
+    }
+  }
+}
+
+// Helper: Serialize draft state for client (convert Set to Array)
+function serializeDraftState(room) {
+  const { draftState } = room;
+  return {
+    draftId: room.id,
+    phase: draftState.phase,
+    // Queues are private to each team and sent separately via 'queue-updated'
+    teams: draftState.teams.map(({ queue, pin, ...team }) => ({ ...team, presence: getPresence(team) })),
+    watchers: draftState.watchers.map(w => ({ id: w.id, name: w.name, presence: getPresence(w) })),
+    draftOrder: draftState.draftOrder,
+    orderSetup: draftState.orderSetup,
+    currentPickIndex: draftState.currentPickIndex,
+    picks: draftState.picks,
+    draftedPlayerIds: Array.from(draftState.draftedPlayerIds),
+    paused: draftState.paused,
+    commissionerTeamId: draftState.commissioner ? draftState.commissioner.teamId : null,
+    coCommissionerTeamIds: draftState.coCommissioners.map(c => c.teamId),
+    commissionerSecretEnabled: !!COMMISSIONER_SECRET,
+    settings: draftState.settings,
+    rosterSlotTypes: ROSTER_SLOT_TYPES,
+    draftFormats: DRAFT_FORMATS,
+    playerStatuses: PLAYER_STATUSES,
+    playoffRounds: PLAYOFF_ROUNDS,
+    bracket: {
+      seeds: draftState.bracket.seeds,
+      games: buildBracketGames(draftState.bracket),
+      eliminatedTeams: Array.from(getEliminatedTeams(room))
+    },
+    scoringPresets: SCORING_PRESETS,
+    auctionMinBid: AUCTION_MIN_BID,
+    keepers: draftState.keepers,
+    rankingsImport: draftState.rankingsImport,
+    playerPool: { custom: !!draftState.players, count: getPlayerPool(room).length },
+    trades: draftState.trades,
+    lot: draftState.lot,
+    clock: draftState.clock,
+    serverTime: Date.now() // lets clients correct for clock skew when counting down
+  };
+}
+
+// Helper: Build the draft results export (rosters are keyed by the league's roster slots)
+function buildDraftResults(room) {
+  const { draftState } = room;
+  const teamName = teamId => {
+    const team = findTeamById(room, teamId);
+    return team ? team.name : 'Unknown';
+  };
+  // What one side of a trade gave up, in readable form
+  const describeTradeSide = side => ({
+    picks: side.picks.map(n => `#${n} (round ${getPickRound(room, n - 1) + 1})`),
+    players: side.players.map(id => {
+      const player = findPlayerById(room, id);
+      return player ? player.name : 'Unknown';
+    })
+  });
+  return {
+    completedAt: new Date().toISOString(),
+    draftId: room.id,
+    rosterSlots: draftState.settings.rosterSlots.map(slot => ({ id: slot.id, label: slot.label, count: slot.count })),
+    draftType: draftState.settings.draftType,
+    keepers: draftState.keepers.map(keeper => {
+      const team = findTeamById(room, keeper.teamId);
+      const player = findPlayerById(room, keeper.playerId);
+      return {
+        teamName: team ? team.name : 'Unknown',
+        playerName: player ? player.name : 'Unknown',
+        position: player ? player.position : 'Unknown',
+        round: keeper.round
+      };
+    }),
+    draftOrder: {
+      format: draftState.settings.format,
+      method: draftState.orderSetup.method,
+      seed: draftState.orderSetup.seed,
+      teams: draftState.orderSetup.teamIds.map(id => {
+        const team = findTeamById(room, id);
+        return team ? team.name : 'Unknown';
+      })
+    },
+    teams: draftState.teams.map(team => {
+      const roster = {};
+      draftState.settings.rosterSlots.forEach(slot => {
+        roster[slot.id] = team.roster[slot.id].map(p => ({
+          name: p.name,
+          team: p.team,
+          position: p.position,
+          ...(p.price !== undefined ? { price: p.price } : {})
+        }));
+      });
+      return isAuction(room)
+        ? { name: team.name, budgetRemaining: team.budget, roster }
+        : { name: team.name, roster };
+    }),
+    pickHistory: draftState.picks.map(pick => {
+      const team = findTeamById(room, pick.teamId);
+      const player = findPlayerById(room, pick.playerId);
+      return {
+        pickNumber: pick.pickNumber,
+        teamName: team ? team.name : 'Unknown',
+        playerName: player ? player.name : 'Unknown',
+        position: player ? player.position : 'Unknown',
+        nflTeam: player ? player.team : 'Unknown',
+        ...(pick.price !== undefined ? { price: pick.price } : {}),
+        ...(pick.viaTeamId ? { viaTeamName: teamName(pick.viaTeamId) } : {}),
+        ...(pick.keeper ? { keeper: true } : {}),
+        ...(pick.enteredBy ? { enteredBy: pick.enteredBy } : {})
+      };
+    }),
+    trades: draftState.trades
+      .filter(t => t.status === 'completed')
+      .map(t => ({
+        completedAt: new Date(t.resolvedAt).toISOString(),
+        sides: [
+          { teamName: teamName(t.fromTeamId), gave: describeTradeSide(t.give) },
+          { teamName: teamName(t.toTeamId), gave: describeTradeSide(t.get) }
+        ]
+      }))
+  };
+}
+
+// Helper: Save draft results to file
+function saveDraftResults(room) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `draft-results-${room.id}-${timestamp}.json`;
+  const results = buildDraftResults(room);
+
+  try {
+    fs.writeFileSync(path.join(__dirname, filename), JSON.stringify(results, null, 2));
+    logRoom(room, `Draft results saved to ${filename}`);
+  } catch (err) {
+    console.error('Error saving draft results:', err.message);
+  }
+}
+
+// Helper: Parse a weekly stats upload (a JSON array of objects keyed by stat field, or CSV with a header row)
+// and match each line onto the player pool. Returns { stats: { [playerId]: {...} }, matched, unmatched } or { error }.
+function buildStatsFromFile(room, text) {
+  let records;
+  if (text.trim().startsWith('[')) {
+    try {
+      records = JSON.parse(text);
+    } catch (err) {
+      return { error: `The stats file isn't valid JSON: ${err.message}` };
+    }
+    if (!records.every(r => r && typeof r === 'object')) return { error: 'Every entry in the JSON list must be a stat line object' };
+  } else {
+    const rows = parseCsv(text);
+    const headers = (rows[0] || []).map(h => h.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+    const columns = {};
+    Object.entries(STAT_COLUMNS).forEach(([field, aliases]) => {
+      const index = headers.findIndex(h => h === field.toLowerCase() || aliases.includes(h));
+      if (index !== -1) columns[field] = index;
+    });
+    if (columns.id === undefined && columns.name === undefined) return { error: 'The stats file needs an id or name column' };
+    records = rows.slice(1).map(row => {
+      const record = {};
+      Object.entries(columns).forEach(([field, index]) => { record[field] = row[index]; });
+      return record;
+    });
+  }
+
+  if (records.length === 0) return { error: 'The stats file has no stat lines in it' };
+  if (records.length > MAX_POOL_PLAYERS) return { error: `The stats file has too many lines (${MAX_POOL_PLAYERS} maximum)` };
+
+  const stats = {};
+  const unmatched = [];
+  records.forEach(record => {
+    const label = record.name || record.id || '?';
+    const player = matchRankingRow(room, {
+      id: record.id ? String(record.id) : undefined,
+      name: record.name ? String(record.name) : undefined,
+      team: record.team ? String(record.team) : undefined,
+      position: record.position ? String(record.position) : undefined
+    });
+    if (!player || stats[player.id]) {
+      unmatched.push(String(label));
+      return;
+    }
+    const line = {};
+    STAT_FIELDS.forEach(field => {
+      const n = parseFloat(String(record[field] === undefined ? '' : record[field]).replace(/[^0-9.-]/g, ''));
+      if (Number.isFinite(n)) line[field] = n;
+    });
+    stats[player.id] = line;
+  });
+  const matched = Object.keys(stats).length;
+  if (matched === 0) return { error: 'None of the stat lines matched the player pool' };
+
+  return { stats, matched, unmatched };
+}
+
+// Helper: Check a scoring rules update. Numbers must be finite and sensible; a preset sets points
+// per reception unless the update gives its own. Returns { rules } (the full new rule set) or { error }.
+function validateScoringRules(current, update) {
+  const rules = { ...current };
+  if (update.preset !== undefined) {
+    const preset = SCORING_PRESETS.find(p => p.id === update.preset);
+    if (!preset) return { error: `Scoring preset must be one of ${SCORING_PRESETS.map(p => p.id).join(', ')}` };
+    rules.preset = preset.id;
+    rules.reception = preset.reception;
+  }
+
+  const numericFields = Object.keys(DEFAULT_SCORING_RULES).filter(field => typeof DEFAULT_SCORING_RULES[field] === 'number');
+  for (const field of numericFields) {
+    if (update[field] === undefined) continue;
+    const value = Number(update[field]);
+    if (!Number.isFinite(value) || Math.abs(value) > 100) return { error: `${field} must be a number between -100 and 100` };
+    if (field.endsWith('YdsPerPoint') && value <= 0) return { error: `${field} must be more than 0` };
+    rules[field] = value;
+  }
+
+  // A points-per-reception value that matches a preset takes on that preset's name
+  const matchingPreset = SCORING_PRESETS.find(p => p.reception === rules.reception);
+  rules.preset = matchingPreset ? matchingPreset.id : 'custom';
+  return { rules };
+}
+
+// Helper: Fantasy points for one stat line under the league's rules (rounded to hundredths)
+function scoreStatLine(rules, position, stats) {
+  const stat = field => stats[field] || 0;
+  let points;
+  if (position === 'DST') {
+    points = stat('sacks') * rules.sack +
+             stat('int') * rules.defInt +
+             stat('fumRec') * rules.fumRec +
+             stat('defTd') * rules.defTd +
+             stat('safety') * rules.safety;
+    if (stats.ptsAllowed !== undefined) {
+      const tier = rules.pointsAllowed.find(t => t.max === null || stats.ptsAllowed <= t.max);
+      points += tier ? tier.points : 0;
+    }
+  } else {
+    points = stat('passYds') / rules.passYdsPerPoint +
+             stat('passTd') * rules.passTd +
+             stat('int') * rules.int +
+             stat('rushYds') / rules.rushYdsPerPoint +
+             stat('rushTd') * rules.rushTd +
+             stat('rec') * rules.reception +
+             stat('recYds') / rules.recYdsPerPoint +
+             stat('recTd') * rules.recTd +
+             stat('twoPt') * rules.twoPt +
+             stat('fumLost') * rules.fumLost +
+             stat('longTd') * rules.longTdBonus +
+             stat('fg0_39') * rules.fg0_39 +
+             stat('fg40_49') * rules.fg40_49 +
+             stat('fg50') * rules.fg50 +
+             stat('fgMiss') * rules.fgMiss +
+             stat('xp') * rules.xp;
+  }
+  return Math.round(points * 100) / 100;
+}
+
+// Helper: Standings rank for each team by the given points, best first. Tied teams share a rank (1, 1, 3).
+function rankTeams(teams, getPoints) {
+  const ranks = new Map();
+  const sorted = teams.slice().sort((a, b) => getPoints(b) - getPoints(a));
+  sorted.forEach((team, index) => {
+    const previous = sorted[index - 1];
+    ranks.set(team.teamId, previous && getPoints(previous) === getPoints(team) ? ranks.get(previous.teamId) : index + 1);
+  });
+  return ranks;
+}
+
+// Helper: Points by playoff round for every player with imported stats, and each team's totals
+// from its final roster, as standings (best first), with how many of its players' NFL teams are still
+// alive. Rounds without an import count as zero.
+// previousRank is where the team stood before the latest imported round (null until two rounds are in).
+function buildScoreboard(room) {
+  const { draftState } = room;
+  const { rules, stats, imports } = draftState.scoring;
+  const round2 = n => Math.round(n * 100) / 100;
+
+  const playerScores = {};
+  const scorePlayer = player => {
+    if (!playerScores[player.id]) {
+      const byRound = {};
+      PLAYOFF_ROUNDS.forEach(round => {
+        const line = stats[round.id] && stats[round.id][player.id];
+        byRound[round.id] = line ? scoreStatLine(rules, player.position, line) : 0;
+      });
+      playerScores[player.id] = { byRound, total: round2(Object.values(byRound).reduce((sum, n) => sum + n, 0)) };
+    }
+    return playerScores[player.id];
+  };
+  PLAYOFF_ROUNDS.forEach(round => {
+    Object.keys(stats[round.id] || {}).forEach(playerId => {
+      const player = findPlayerById(room, playerId);
+      if (player) scorePlayer(player);
+    });
+  });
+
+  const eliminated = getEliminatedTeams(room);
+  const teams = draftState.teams.map(team => {
+    const players = getRosterPlayers(room, team).map(p => ({
+      playerId: p.id,
+      name: p.name,
+      position: p.position,
+      team: p.team,
+      eliminated: eliminated.has(p.team),
+      ...scorePlayer(p)
+    }));
+    const byRound = {};
+    PLAYOFF_ROUNDS.forEach(round => {
+      byRound[round.id] = round2(players.reduce((sum, p) => sum + p.byRound[round.id], 0));
+    });
+    return {
+      teamId: team.id,
+      name: team.name,
+      byRound,
+      total: round2(players.reduce((sum, p) => sum + p.total, 0)),
+      playersRemaining: players.filter(p => !p.eliminated).length,
+      players
+    };
+  });
+
+  const importedRounds = PLAYOFF_ROUNDS.filter(round => imports[round.id]);
+  const latestRound = importedRounds[importedRounds.length - 1];
+  const ranks = rankTeams(teams, team => team.total);
+  const previousRanks = importedRounds.length >= 2
+    ? rankTeams(teams, team => round2(team.total - team.byRound[latestRound.id]))
+    : null;
+  teams.forEach(team => {
+    team.rank = ranks.get(team.teamId);
+    team.previousRank = previousRanks ? previousRanks.get(team.teamId) : null;
+  });
+
+  return {
+    rounds: PLAYOFF_ROUNDS.map(round => ({ ...round, imported: imports[round.id] || null })),
+    latestRoundId: latestRound ? latestRound.id : null,
+    rules,
+    players: playerScores,
+    teams: teams.sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name))
+  };
+}
+
+// Helper: Store one playoff round's imported stats (replacing any earlier import for that round).
+// Shared by the socket event and the HTTP endpoint. Returns an error message or null.
+function importRoundStats(room, roundId, text, importedBy) {
+  const { draftState } = room;
+  if (draftState.phase !== 'complete') return 'Stats can only be imported once the draft is complete';
+  if (!PLAYOFF_ROUNDS.some(r => r.id === roundId)) return `Round must be one of ${PLAYOFF_ROUNDS.map(r => r.id).join(', ')}`;
+  if (typeof text !== 'string' || text.trim() === '') return 'Choose a stats file to import';
+  if (text.length > MAX_STATS_FILE_LENGTH) return 'The stats file is too large (500 KB maximum)';
+
+  const result = buildStatsFromFile(room, text);
+  if (result.error) return result.error;
+
+  draftState.scoring.stats[roundId] = result.stats;
+  draftState.scoring.imports[roundId] = {
+    importedAt: Date.now(),
+    matched: result.matched,
+    unmatched: result.unmatched.slice(0, 25),
+    unmatchedCount: result.unmatched.length
+  };
+  logRoom(room, `${roundId} stats imported by ${importedBy}: ${result.matched} players matched, ${result.unmatched.length} lines unmatched`);
+  persistState(room);
+  io.to(room.id).emit('scores-updated', buildScoreboard(room));
+  return null;
+}
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+// Uploaded files (stats, player pools) can be posted as CSV text or JSON
+const MAX_UPLOAD_LENGTH = Math.max(MAX_STATS_FILE_LENGTH, MAX_PLAYER_FILE_LENGTH);
+app.use(express.json({ limit: MAX_UPLOAD_LENGTH }));
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: MAX_UPLOAD_LENGTH }));
+
+// Middleware: Resolve ?draft=<id> to a room for the per-draft API endpoints
+function requireRoom(req, res, next) {
+  const room = getRoom(req.query.draft);
+  if (!room) {
+    res.status(404).json({ error: req.query.draft ? 'Draft not found' : 'Missing draft id (?draft=...)' });
+    return;
+  }
+  req.room = room;
+  next();
+}
+
+// API: Create a new draft room. Room codes are never listed: whoever creates a room shares its link.
+app.post('/api/drafts', (req, res) => {
+  // At the cap, make room by clearing out abandoned drafts before turning anyone away
+  if (rooms.size >= MAX_DRAFTS) {
+    expireIdleRooms();
+  }
+  if (rooms.size >= MAX_DRAFTS) {
+    res.status(503).json({ error: `This server is already hosting ${MAX_DRAFTS} drafts` });
+    return;
+  }
+
+  const room = createRoom();
+  logRoom(room, 'Draft room created');
+  res.status(201).json({ draftId: room.id, url: `/?draft=${room.id}` });
+});
+
+// API: Get current state
+app.get('/api/state', requireRoom, (req, res) => {
+  res.json(serializeDraftState(req.room));
+});
+
+// API: Get available players
+app.get('/api/players', requireRoom, (req, res) => {
+  let players = getAvailablePlayers(req.room);
+
+  // Filter by position if specified
+  const position = req.query.position;
+  if (position && position !== 'ALL') {
+    players = players.filter(p => p.position === position);
+  }
+
+  res.json(players);
+});
+
+// API: Replace the player pool before the draft starts (commissioners only, with their token in the
+// X-Commissioner-Token header). Body: CSV (text/csv) or a JSON array of { name, team, position, id } objects.
+app.post('/api/players', requireRoom, (req, res) => {
+  if (!getCommissionerRole(req.room, req.get('X-Commissioner-Token'))) {
+    res.status(403).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  const text = Array.isArray(req.body) ? JSON.stringify(req.body) : req.body;
+  const error = importPlayerPool(req.room, typeof text === 'string' ? text : '', 'API');
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  res.json({ playerCount: getPlayerPool(req.room).length });
+});
+
+// API: Get draft results (for download)
+app.get('/api/results', requireRoom, (req, res) => {
+  if (req.room.draftState.phase !== 'complete') {
+    res.status(400).json({ error: 'Draft is not complete' });
+    return;
+  }
+
+  res.json(buildDraftResults(req.room));
+});
+
+// API: Fantasy points by playoff round, per player and per team
+app.get('/api/scores', requireRoom, (req, res) => {
+  res.json(buildScoreboard(req.room));
+});
+
+// API: Import one playoff round's stat lines, ?round=WC|DIV|CONF|SB (commissioners only, with their
+// token in the X-Commissioner-Token header). Body: CSV (text/csv) or a JSON array of stat line objects.
+app.post('/api/stats', requireRoom, (req, res) => {
+  if (!getCommissionerRole(req.room, req.get('X-Commissioner-Token'))) {
+    res.status(403).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  const round = String(req.query.round || '').toUpperCase();
+  const text = Array.isArray(req.body) ? JSON.stringify(req.body) : req.body;
+  const error = importRoundStats(req.room, round, typeof text === 'string' ? text : '', 'API');
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  res.json({ round, ...req.room.draftState.scoring.imports[round] });
+});
+
+// Socket.io connection handling. Clients connect with ?draft=<id> and only ever see that room.
+io.on('connection', (socket) => {
+  const room = getRoom(socket.handshake.query.draft);
+  if (!room) {
+    socket.emit('draft-not-found', { draftId: socket.handshake.query.draft || null });
+    socket.disconnect(true);
+    return;
+  }
+
+  const { draftState } = room;
+  socket.data.draftId = room.id;
+  socket.join(room.id);
+  logRoom(room, `Client connected: ${socket.id}`);
+
+  // Send current state to newly connected client
+  socket.emit('draft-state-updated', serializeDraftState(room));
+  socket.emit('players-updated', getAvailablePlayers(room));
+
+  // Join as a team, or reclaim an existing team with its PIN. Payload: { teamName, pin }
+  socket.on('join-draft', guardHandler(room, socket, 'join-draft', (data) => {
+    const { teamName, pin } = data || {};
+
+    // Validation
+    if (typeof teamName !== 'string' || teamName.trim() === '') {
+      socket.emit('error', { message: 'Team name cannot be empty' });
+      return;
+    }
+
+    const trimmedName = teamName.trim();
+
+    // Check if reconnecting to existing team
+    const existingTeam = findTeamByName(room, trimmedName);
+    if (existingTeam) {
+      // Reclaiming needs the team's PIN; teams saved before PINs existed get one now
+      if (existingTeam.pin && (typeof pin !== 'string' || pin.trim().toUpperCase() !== existingTeam.pin)) {
+        logRoom(room, `Rejected reclaim of team "${existingTeam.name}" from socket ${socket.id}: ${pin ? 'wrong' : 'no'} PIN`);
+        socket.emit('team-pin-required', { teamName: existingTeam.name, invalid: !!pin });
+        return;
+      }
+      if (!existingTeam.pin) {
+        existingTeam.pin = generateTeamPin();
+        persistState(room);
+      }
+
+      // Reconnection - update socket ID, letting any other tab holding the team know it's been taken over
+      if (existingTeam.socketId && existingTeam.socketId !== socket.id) {
+        io.to(existingTeam.socketId).emit('team-reclaimed', { teamId: existingTeam.id });
+      }
+      existingTeam.socketId = socket.id;
+      existingTeam.idle = false;
+      existingTeam.lastSeen = Date.now();
+      logRoom(room, `Team "${trimmedName}" reconnected with socket ${socket.id}`);
+      scheduleAutoPick(room);
+      socket.emit('joined', { teamId: existingTeam.id, teamName: existingTeam.name, pin: existingTeam.pin });
+      restoreCommissionerRole(room, existingTeam, socket);
+      persistState(room);
+      emitQueue(existingTeam);
+      io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+      return;
+    }
+
+    // Check if draft already started
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Draft has already started. You can only rejoin with an existing team name.' });
+      return;
+    }
+
+    // Check if max teams reached
+    if (draftState.teams.length >= 8) {
+      socket.emit('error', { message: 'Draft is full (8 teams maximum)' });
+      return;
+    }
+
+    if (draftState.orderSetup.locked) {
+      socket.emit('error', { message: 'The draft order is locked. Ask the commissioner to unlock it so you can join.' });
+      return;
+    }
+
+    // Clear any previous team association for this socket
+    // (handles case where same browser tab auto-reconnected to wrong team via localStorage)
+    const previousTeam = findTeamBySocketId(room, socket.id);
+    if (previousTeam) {
+      previousTeam.socketId = null;
+      logRoom(room, `Cleared socket association from team "${previousTeam.name}"`);
+    }
+
+    // Create new team
+    const newTeam = {
+      id: generateTeamId(),
+      name: trimmedName,
+      pin: generateTeamPin(),
+      socketId: socket.id,
+      idle: false,
+      lastSeen: Date.now(),
+      autodraft: false,
+      queue: [], // Player IDs in the team's preferred order
+      roster: createEmptyRoster(room)
+    };
+
+    draftState.teams.push(newTeam);
+    draftState.orderSetup.teamIds.push(newTeam.id);
+    logRoom(room, `Team "${trimmedName}" joined the draft`);
+
+    socket.emit('joined', { teamId: newTeam.id, teamName: newTeam.name, pin: newTeam.pin });
+
+    // Without a configured secret, the first team in runs the draft
+    if (!COMMISSIONER_SECRET && !draftState.commissioner) {
+      grantCommissionerRole(room, newTeam, 'commissioner');
+      logRoom(room, `Team "${trimmedName}" is the commissioner`);
+    }
+    persistState(room);
+
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Join as watcher (spectator mode)
+  socket.on('join-as-watcher', guardHandler(room, socket, 'join-as-watcher', (data) => {
+    const { watcherName } = data || {};
+
+    // Validation
+    if (typeof watcherName !== 'string' || watcherName.trim() === '') {
+      socket.emit('error', { message: 'Name cannot be empty' });
+      return;
+    }
+
+    const trimmedName = watcherName.trim();
+
+    // Check if this name is already a team
+    const existingTeam = findTeamByName(room, trimmedName);
+    if (existingTeam) {
+      socket.emit('error', { message: 'This name is already registered as a team. Use "Join Draft" instead.' });
+      return;
+    }
+
+    // Check if reconnecting as existing watcher
+    const existingWatcher = findWatcherByName(room, trimmedName);
+    if (existingWatcher) {
+      existingWatcher.socketId = socket.id;
+      existingWatcher.idle = false;
+      existingWatcher.lastSeen = Date.now();
+      logRoom(room, `Watcher "${trimmedName}" reconnected with socket ${socket.id}`);
+      socket.emit('joined-as-watcher', { watcherId: existingWatcher.id, watcherName: existingWatcher.name });
+      io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+      return;
+    }
+
+    // Create new watcher
+    const newWatcher = {
+      id: 'watcher-' + Math.random().toString(36).substr(2, 9),
+      name: trimmedName,
+      socketId: socket.id,
+      idle: false,
+      lastSeen: Date.now()
+    };
+
+    draftState.watchers.push(newWatcher);
+    logRoom(room, `Watcher "${trimmedName}" joined to watch the draft`);
+    persistState(room);
+
+    socket.emit('joined-as-watcher', { watcherId: newWatcher.id, watcherName: newWatcher.name });
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Start draft
+  socket.on('start-draft', guardHandler(room, socket, 'start-draft', () => {
+    // Validation
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Only the commissioner can start the draft' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Draft has already started' });
+      return;
+    }
+
+    if (draftState.teams.length < 2) {
+      socket.emit('error', { message: 'Need at least 2 teams to start the draft' });
+      return;
+    }
+
+    if (!draftState.orderSetup.locked) {
+      socket.emit('error', { message: 'Lock in the draft order before starting the draft' });
+      return;
+    }
+
+    if (isAuction(room) && draftState.settings.auction.budget < getRosterSize(room) * AUCTION_MIN_BID) {
+      socket.emit('error', { message: `Auction budget must be at least $${getRosterSize(room) * AUCTION_MIN_BID} to fill every roster spot` });
+      return;
+    }
+
+    if (!isAuction(room) && draftState.settings.format === 'custom') {
+      const customOrderError = validateCustomOrder(room, draftState.settings.customOrder, draftState.settings.rosterSlots);
+      if (customOrderError) {
+        socket.emit('error', { message: customOrderError });
+        return;
+      }
+    }
+
+    // Generate draft order (for auctions, the nomination order). Keepers use up picks in turn-based drafts.
+    let draftOrder = [];
+    let keeperPicks = [];
+    if (!isAuction(room)) {
+      draftOrder = generateDraftOrder(room, draftState.orderSetup.teamIds);
+      const keeperResult = assignKeeperPicks(room, draftOrder);
+      if (keeperResult.error) {
+        socket.emit('error', { message: keeperResult.error });
+        return;
+      }
+      keeperPicks = keeperResult.picks;
+    }
+
+    draftState.phase = 'drafting';
+    draftState.currentPickIndex = 0;
+    draftState.draftOrder = draftOrder;
+    draftState.picks = keeperPicks;
+    if (isAuction(room)) {
+      draftState.teams.forEach(team => {
+        team.budget = draftState.settings.auction.budget;
+      });
+      planNominationOrder(room);
+    } else {
+      skipMadePicks(room);
+    }
+    startPickClock(room);
+    scheduleAutoPick(room);
+
+    logRoom(room, 'Draft started!');
+    logRoom(room, 'Draft order:', draftState.draftOrder.map(id => findTeamById(room, id).name));
+    persistState(room);
+
+    io.to(room.id).emit('draft-started', { draftOrder: draftState.draftOrder });
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Draft player
+  socket.on('draft-player', guardHandler(room, socket, 'draft-player', (data) => {
+    const { playerId } = data || {};
+
+    // Validation: Phase check
+    if (draftState.phase !== 'drafting') {
+      socket.emit('error', { message: 'Draft is not in progress' });
+      return;
+    }
+
+    // Validation: Pause check
+    if (draftState.paused) {
+      socket.emit('error', { message: 'Draft is paused' });
+      return;
+    }
+
+    if (isAuction(room)) {
+      socket.emit('error', { message: 'This is an auction draft: nominate players and bid instead' });
+      return;
+    }
+
+    // Find the team making this pick
+    const team = findTeamBySocketId(room, socket.id);
+    if (!team) {
+      socket.emit('error', { message: 'You are not registered as a team' });
+      return;
+    }
+
+    // Check if it's this team's turn
+    const currentPicker = getCurrentPicker(room);
+    if (!currentPicker || currentPicker.id !== team.id) {
+      socket.emit('error', { message: 'It is not your turn to pick' });
+      return;
+    }
+
+    // Check if player exists
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    // Check if player already drafted
+    if (draftState.draftedPlayerIds.has(playerId)) {
+      socket.emit('error', { message: 'Player has already been drafted' });
+      return;
+    }
+
+    // Check position limit
+    if (!canDraftPosition(room, team, player.position)) {
+      socket.emit('error', { message: `You have no open roster slots for a ${player.position}` });
+      return;
+    }
+
+    makePick(room, team, player);
+  }));
+
+  // Enter a pick for a team, e.g. one phoned in (commissioners only). Without a teamId it's for the team
+  // on the clock; any other team's pick goes into its next open slot ahead of the clock.
+  // Payload: { playerId, teamId }
+  socket.on('commissioner-pick', guardHandler(room, socket, 'commissioner-pick', (data) => {
+    const { playerId, teamId } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'drafting') {
+      socket.emit('error', { message: 'Draft is not in progress' });
+      return;
+    }
+
+    if (isAuction(room)) {
+      socket.emit('error', { message: 'Picks can\'t be entered for teams in an auction draft' });
+      return;
+    }
+
+    const currentPicker = getCurrentPicker(room);
+    const team = teamId ? findTeamById(room, teamId) : currentPicker;
+    if (!team) {
+      socket.emit('error', { message: 'Team not found' });
+      return;
+    }
+
+    // The team's next slot that hasn't been used yet
+    let pickIndex = draftState.currentPickIndex;
+    while (pickIndex < draftState.draftOrder.length &&
+           (draftState.draftOrder[pickIndex] !== team.id || isPickMade(room, pickIndex))) {
+      pickIndex++;
+    }
+    if (pickIndex >= draftState.draftOrder.length) {
+      socket.emit('error', { message: `${team.name} has no picks left` });
+      return;
+    }
+
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (draftState.draftedPlayerIds.has(playerId)) {
+      socket.emit('error', { message: 'Player has already been drafted' });
+      return;
+    }
+
+    if (!canDraftPosition(room, team, player.position)) {
+      socket.emit('error', { message: `${team.name} has no open roster slots for a ${player.position}` });
+      return;
+    }
+
+    makePick(room, team, player, { enteredBy: getCommissionerName(room, socket) }, pickIndex);
+  }));
+
+  // Offer a trade to another team. Payload: { toTeamId, give: { picks, players }, get: { picks, players } }
+  // where picks are pick numbers and players are player IDs.
+  socket.on('propose-trade', guardHandler(room, socket, 'propose-trade', (data) => {
+    const team = findTeamBySocketId(room, socket.id);
+    if (!team) {
+      socket.emit('error', { message: 'You are not registered as a team' });
+      return;
+    }
+
+    const toList = v => (Array.isArray(v) ? v.slice(0, 20) : []);
+    const give = (data && data.give) || {};
+    const get = (data && data.get) || {};
+    const trade = {
+      id: generateTradeId(),
+      fromTeamId: team.id,
+      toTeamId: data && data.toTeamId,
+      give: { picks: toList(give.picks), players: toList(give.players) },
+      get: { picks: toList(get.picks), players: toList(get.players) },
+      status: 'proposed',
+      proposedAt: Date.now(),
+      resolvedAt: null
+    };
+
+    const openOffers = draftState.trades.filter(t => t.fromTeamId === team.id && t.status === 'proposed');
+    if (openOffers.length >= 5) {
+      socket.emit('error', { message: 'You already have 5 open trade offers. Cancel one first.' });
+      return;
+    }
+
+    const tradeError = validateTrade(room, trade);
+    if (tradeError) {
+      socket.emit('error', { message: tradeError });
+      return;
+    }
+
+    draftState.trades.push(trade);
+    logRoom(room, `${team.name} proposed a trade to ${findTeamById(room, trade.toTeamId).name}`);
+    persistState(room);
+    emitTradeUpdate(room, trade);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Accept or reject a trade offered to your team. Payload: { tradeId, accept }
+  socket.on('respond-trade', guardHandler(room, socket, 'respond-trade', (data) => {
+    const { tradeId, accept } = data || {};
+    const team = findTeamBySocketId(room, socket.id);
+    const trade = draftState.trades.find(t => t.id === tradeId);
+
+    if (!trade || trade.status !== 'proposed') {
+      socket.emit('error', { message: 'That trade offer is no longer open' });
+      return;
+    }
+
+    if (!team || team.id !== trade.toTeamId) {
+      socket.emit('error', { message: 'Only the team receiving the offer can respond to it' });
+      return;
+    }
+
+    if (!accept) {
+      trade.status = 'rejected';
+      trade.resolvedAt = Date.now();
+    } else {
+      // The draft may have moved on since the offer was made
+      const tradeError = validateTrade(room, trade);
+      if (tradeError) {
+        trade.status = 'void';
+        trade.resolvedAt = Date.now();
+        socket.emit('error', { message: `Trade can no longer go through: ${tradeError}` });
+      } else if (draftState.settings.tradeReview) {
+        trade.status = 'awaiting-approval';
+      } else {
+        executeTrade(room, trade);
+      }
+    }
+
+    logRoom(room, `Trade ${trade.id} ${trade.status}`);
+    persistState(room);
+    emitTradeUpdate(room, trade);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Withdraw your own trade offer (before it's completed). Payload: { tradeId }
+  socket.on('cancel-trade', guardHandler(room, socket, 'cancel-trade', (data) => {
+    const { tradeId } = data || {};
+    const team = findTeamBySocketId(room, socket.id);
+    const trade = draftState.trades.find(t => t.id === tradeId);
+
+    if (!trade || (trade.status !== 'proposed' && trade.status !== 'awaiting-approval')) {
+      socket.emit('error', { message: 'That trade offer is no longer open' });
+      return;
+    }
+
+    if (!team || team.id !== trade.fromTeamId) {
+      socket.emit('error', { message: 'Only the team that made the offer can cancel it' });
+      return;
+    }
+
+    trade.status = 'cancelled';
+    trade.resolvedAt = Date.now();
+
+    logRoom(room, `Trade ${trade.id} cancelled`);
+    persistState(room);
+    emitTradeUpdate(room, trade);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Approve or veto an accepted trade (commissioners only, when trade review is on). Payload: { tradeId, approve }
+  socket.on('review-trade', guardHandler(room, socket, 'review-trade', (data) => {
+    const { tradeId, approve } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    const trade = draftState.trades.find(t => t.id === tradeId);
+    if (!trade || trade.status !== 'awaiting-approval') {
+      socket.emit('error', { message: 'That trade isn\'t waiting for approval' });
+      return;
+    }
+
+    if (!approve) {
+      trade.status = 'vetoed';
+      trade.resolvedAt = Date.now();
+    } else {
+      const tradeError = validateTrade(room, trade);
+      if (tradeError) {
+        trade.status = 'void';
+        trade.resolvedAt = Date.now();
+        socket.emit('error', { message: `Trade can no longer go through: ${tradeError}` });
+      } else {
+        executeTrade(room, trade);
+      }
+    }
+
+    logRoom(room, `Trade ${trade.id} ${trade.status} by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    emitTradeUpdate(room, trade);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Auction: put a player up for bids (the team on the clock, with no lot open).
+  // Payload: { playerId, bid } where bid is the opening bid (defaults to the minimum)
+  socket.on('nominate-player', guardHandler(room, socket, 'nominate-player', (data) => {
+    const { playerId } = data || {};
+    const bid = data && data.bid !== undefined && data.bid !== null ? data.bid : AUCTION_MIN_BID;
+
+    if (draftState.phase !== 'drafting' || !isAuction(room)) {
+      socket.emit('error', { message: 'No auction is in progress' });
+      return;
+    }
+
+    if (draftState.paused) {
+      socket.emit('error', { message: 'Draft is paused' });
+      return;
+    }
+
+    const team = findTeamBySocketId(room, socket.id);
+    if (!team) {
+      socket.emit('error', { message: 'You are not registered as a team' });
+      return;
+    }
+
+    const nominator = getCurrentPicker(room);
+    if (!nominator || nominator.id !== team.id) {
+      socket.emit('error', { message: 'It is not your turn to nominate' });
+      return;
+    }
+
+    if (draftState.lot) {
+      socket.emit('error', { message: 'Bidding is already open on another player' });
+      return;
+    }
+
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (draftState.draftedPlayerIds.has(playerId)) {
+      socket.emit('error', { message: 'Player has already been drafted' });
+      return;
+    }
+
+    if (!canDraftPosition(room, team, player.position)) {
+      socket.emit('error', { message: `You have no open roster slots for a ${player.position}` });
+      return;
+    }
+
+    const maxBid = getMaxBid(room, team);
+    if (!Number.isInteger(bid) || bid < AUCTION_MIN_BID || bid > maxBid) {
+      socket.emit('error', { message: `Opening bid must be a whole number from $${AUCTION_MIN_BID} to $${maxBid}` });
+      return;
+    }
+
+    openAuctionLot(room, team, player, bid);
+  }));
+
+  // Auction: raise the bid on the player up for bids. Payload: { bid }
+  socket.on('place-bid', guardHandler(room, socket, 'place-bid', (data) => {
+    const { bid } = data || {};
+
+    if (draftState.phase !== 'drafting' || !isAuction(room) || !draftState.lot) {
+      socket.emit('error', { message: 'Nobody is up for bids' });
+      return;
+    }
+
+    if (draftState.paused) {
+      socket.emit('error', { message: 'Draft is paused' });
+      return;
+    }
+
+    const team = findTeamBySocketId(room, socket.id);
+    if (!team) {
+      socket.emit('error', { message: 'You are not registered as a team' });
+      return;
+    }
+
+    const lot = draftState.lot;
+    if (lot.bidderId === team.id) {
+      socket.emit('error', { message: 'You already have the high bid' });
+      return;
+    }
+
+    const player = findPlayerById(room, lot.playerId);
+    if (!canDraftPosition(room, team, player.position)) {
+      socket.emit('error', { message: `You have no open roster slots for a ${player.position}` });
+      return;
+    }
+
+    if (!Number.isInteger(bid) || bid <= lot.bid) {
+      socket.emit('error', { message: `Bid must be more than $${lot.bid}` });
+      return;
+    }
+
+    // Keep enough budget to fill every other open spot at the minimum bid
+    const maxBid = getMaxBid(room, team);
+    if (bid > maxBid) {
+      socket.emit('error', { message: `Your max bid is $${maxBid}` });
+      return;
+    }
+
+    draftState.lot = { ...lot, bid, bidderId: team.id };
+    startPickClock(room); // Every bid resets the bid clock
+
+    logRoom(room, `${team.name} bids $${bid} on ${player.name}`);
+    persistState(room);
+    io.to(room.id).emit('auction-bid', { playerId: player.id, playerName: player.name, teamId: team.id, teamName: team.name, bid, nomination: false });
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Chat message
+  socket.on('chat-message', guardHandler(room, socket, 'chat-message', (data) => {
+    const { message } = data || {};
+
+    // Find the team or watcher sending this message
+    const team = findTeamBySocketId(room, socket.id);
+    const watcher = findWatcherBySocketId(room, socket.id);
+
+    if (!team && !watcher) {
+      socket.emit('error', { message: 'You must join the draft to chat' });
+      return;
+    }
+
+    // Validate message
+    if (typeof message !== 'string' || message.trim() === '') {
+      return;
+    }
+
+    const trimmedMessage = message.trim().substring(0, 200); // Limit to 200 chars
+
+    const senderId = team ? team.id : watcher.id;
+    const senderName = team ? team.name : watcher.name;
+
+    const chatMessage = {
+      id: Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+      teamId: senderId,
+      teamName: senderName + (watcher ? ' (Spectator)' : ''),
+      message: trimmedMessage,
+      timestamp: Date.now()
+    };
+
+    room.chatMessages.push(chatMessage);
+
+    // Keep only last 100 messages
+    if (room.chatMessages.length > 100) {
+      room.chatMessages.shift();
+    }
+    persistState(room);
+
+    // Broadcast to all clients
+    io.to(room.id).emit('chat-message', chatMessage);
+  }));
+
+  // Send chat history when requested
+  socket.on('get-chat-history', guardHandler(room, socket, 'get-chat-history', () => {
+    socket.emit('chat-history', room.chatMessages);
+  }));
+
+  // Pause draft (commissioners only)
+  socket.on('pause-draft', guardHandler(room, socket, 'pause-draft', () => {
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'drafting') {
+      socket.emit('error', { message: 'Draft is not in progress' });
+      return;
+    }
+
+    draftState.paused = true;
+    pausePickClock(room);
+    scheduleAutoPick(room);
+    logRoom(room, `Draft paused by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Resume draft (commissioners only)
+  socket.on('resume-draft', guardHandler(room, socket, 'resume-draft', () => {
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'drafting') {
+      socket.emit('error', { message: 'Draft is not in progress' });
+      return;
+    }
+
+    draftState.paused = false;
+    resumePickClock(room);
+    scheduleAutoPick(room);
+    logRoom(room, `Draft resumed by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Rewind the draft to a pick (commissioners only, draft must be paused). Every pick from that one on is
+  // rolled back and the pick's team is on the clock again. With replay, picks after it are put back where
+  // they're still legal and the clock steps over them. Payload: { pickNumber, replay }
+  socket.on('rewind-to-pick', guardHandler(room, socket, 'rewind-to-pick', (data) => {
+    const { pickNumber, replay } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'drafting') {
+      socket.emit('error', { message: 'Draft is not in progress' });
+      return;
+    }
+
+    if (!draftState.paused) {
+      socket.emit('error', { message: 'Draft must be paused to rewind' });
+      return;
+    }
+
+    const target = draftState.picks.find(p => p.pickNumber === pickNumber);
+    if (!target) {
+      socket.emit('error', { message: 'Pick not found' });
+      return;
+    }
+
+    if (target.keeper) {
+      socket.emit('error', { message: 'Keepers can\'t be undone once the draft has started' });
+      return;
+    }
+
+    if (replay && isAuction(room)) {
+      socket.emit('error', { message: 'Auction picks can\'t be replayed; rewind without keeping later picks' });
+      return;
+    }
+
+    // Roll back every pick from the target on, remembering who holds each player now (they may have been traded)
+    const rolledBack = draftState.picks
+      .filter(p => !p.keeper && p.pickNumber >= pickNumber)
+      .sort((a, b) => a.pickNumber - b.pickNumber)
+      .map(pick => {
+        const pickTeam = findTeamById(room, pick.teamId);
+        const holder = draftState.teams.find(t => getRosterPlayers(room, t).some(p => p.id === pick.playerId)) || pickTeam;
+        const rosterEntry = holder ? getRosterPlayers(room, holder).find(p => p.id === pick.playerId) : null;
+        if (holder) {
+          removeFromRoster(room, holder, pick.playerId);
+        }
+        draftState.draftedPlayerIds.delete(pick.playerId);
+        // Auctions: refund the winning bid
+        if (pick.price !== undefined && pickTeam) {
+          pickTeam.budget += pick.price;
+        }
+        return { pick, holder, rosterEntry };
+      });
+    draftState.picks = draftState.picks.filter(p => !rolledBack.some(r => r.pick === p));
+    // A pick entered ahead of the clock can be the target; rewinding to it must not jump the clock past open slots
+    draftState.currentPickIndex = Math.min(draftState.currentPickIndex, pickNumber - 1);
+
+    // Replay later picks that still work: same team owns the slot, the player is free and fits the roster
+    let replayed = 0;
+    if (replay) {
+      rolledBack.slice(1).forEach(({ pick, holder, rosterEntry }) => {
+        const player = rosterEntry || findPlayerById(room, pick.playerId);
+        if (!holder || !player || draftState.draftOrder[pick.pickNumber - 1] !== pick.teamId ||
+            draftState.draftedPlayerIds.has(pick.playerId) || !canDraftPosition(room, holder, player.position)) {
+          return;
+        }
+        addToRoster(room, holder, player);
+        draftState.draftedPlayerIds.add(pick.playerId);
+        draftState.picks.push(pick);
+        replayed++;
+      });
+    }
+
+    if (isAuction(room)) {
+      draftState.lot = null;
+      planNominationOrder(room);
+    } else {
+      skipMadePicks(room);
+    }
+    startPickClock(room);
+    scheduleAutoPick(room);
+
+    logRoom(room, `Draft rewound to pick #${pickNumber} by ${getCommissionerName(room, socket)}: ` +
+                  `${rolledBack.length} pick(s) rolled back` + (replay ? `, ${replayed} replayed` : ''));
+    persistState(room);
+
+    // Notify all clients
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
+
+  // Swap the player taken with a pick for another available player (commissioners only, draft must be paused).
+  // Pick numbers and the draft order stay as they are. Payload: { pickNumber, playerId }
+  socket.on('replace-pick', guardHandler(room, socket, 'replace-pick', (data) => {
+    const { pickNumber, playerId } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'drafting') {
+      socket.emit('error', { message: 'Draft is not in progress' });
+      return;
+    }
+
+    if (!draftState.paused) {
+      socket.emit('error', { message: 'Draft must be paused to edit picks' });
+      return;
+    }
+
+    const pick = draftState.picks.find(p => p.pickNumber === pickNumber);
+    if (!pick) {
+      socket.emit('error', { message: 'Pick not found' });
+      return;
+    }
+
+    if (pick.keeper) {
+      socket.emit('error', { message: 'Keepers can\'t be edited once the draft has started' });
+      return;
+    }
+
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (draftState.draftedPlayerIds.has(playerId)) {
+      socket.emit('error', { message: 'Player already drafted' });
+      return;
+    }
+
+    // The new player goes wherever the old one is now (they may have been traded)
+    const pickTeam = findTeamById(room, pick.teamId);
+    const holder = draftState.teams.find(t => getRosterPlayers(room, t).some(p => p.id === pick.playerId)) || pickTeam;
+    const oldPlayer = findPlayerById(room, pick.playerId);
+    const remaining = getRosterPlayers(room, holder).filter(p => p.id !== pick.playerId);
+    if (!playersFitRoster(room, remaining.concat(player))) {
+      socket.emit('error', { message: `${holder.name} has no open roster slot for a ${player.position}` });
+      return;
+    }
+
+    removeFromRoster(room, holder, pick.playerId);
+    addToRoster(room, holder, pick.price !== undefined ? { ...player, price: pick.price } : player);
+    draftState.draftedPlayerIds.delete(pick.playerId);
+    draftState.draftedPlayerIds.add(player.id);
+    removeFromQueues(room, player.id);
+    pick.playerId = player.id;
+    delete pick.autoPick;
+
+    logRoom(room, `Pick #${pickNumber} changed by ${getCommissionerName(room, socket)}: ` +
+                  `${oldPlayer ? oldPlayer.name : 'Unknown'} replaced with ${player.name} for ${holder.name}`);
+    persistState(room);
+
+    // Notify all clients
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
+
+  // Update league settings (commissioners only, before the draft starts).
+  // Payload: { pickClock: { seconds, secondsByRound }, rosterCounts: { QB: 1, FLEX: 1, ... },
+  //            format: 'snake', customOrder: [[teamId, ...], ...],
+  //            draftType: 'auction', auction: { budget, bidSeconds }, tradeReview: true }; every part is optional.
+  socket.on('update-settings', guardHandler(room, socket, 'update-settings', (data) => {
+    const { pickClock, rosterCounts, format, customOrder, draftType, auction, tradeReview } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Settings can only be changed before the draft starts' });
+      return;
+    }
+
+    let newPickClock = draftState.settings.pickClock;
+    if (pickClock) {
+      const isValidSeconds = v => Number.isInteger(v) && v >= 0 && v <= 3600;
+      if (!isValidSeconds(pickClock.seconds)) {
+        socket.emit('error', { message: 'Seconds per pick must be a whole number from 0 to 3600' });
+        return;
+      }
+
+      const overrides = Array.isArray(pickClock.secondsByRound) ? pickClock.secondsByRound : [];
+      if (!overrides.every(v => v === null || isValidSeconds(v))) {
+        socket.emit('error', { message: 'Round overrides must be whole numbers from 0 to 3600' });
+        return;
+      }
+
+      newPickClock = { seconds: pickClock.seconds, secondsByRound: overrides };
+    }
+
+    let newRosterSlots = draftState.settings.rosterSlots;
+    if (rosterCounts) {
+      const unknown = Object.keys(rosterCounts).filter(id => !ROSTER_SLOT_TYPES.some(type => type.id === id));
+      if (unknown.length > 0) {
+        socket.emit('error', { message: `Unknown roster slot: ${unknown.join(', ')}` });
+        return;
+      }
+
+      if (!Object.values(rosterCounts).every(v => Number.isInteger(v) && v >= 0 && v <= 10)) {
+        socket.emit('error', { message: 'Roster slot counts must be whole numbers from 0 to 10' });
+        return;
+      }
+
+      newRosterSlots = buildRosterSlots(rosterCounts);
+      if (newRosterSlots.length === 0) {
+        socket.emit('error', { message: 'The roster needs at least one slot' });
+        return;
+      }
+
+      if (!keepersFitRoster(room, newRosterSlots)) {
+        socket.emit('error', { message: 'Those roster slots leave no room (or no round) for a keeper. Remove the keeper first.' });
+        return;
+      }
+    }
+
+    let newFormat = draftState.settings.format;
+    let newCustomOrder = draftState.settings.customOrder;
+    if (format !== undefined) {
+      if (!DRAFT_FORMATS.some(f => f.id === format)) {
+        socket.emit('error', { message: `Unknown draft format: ${format}` });
+        return;
+      }
+
+      newFormat = format;
+      if (format === 'custom') {
+        const customOrderError = validateCustomOrder(room, customOrder, newRosterSlots);
+        if (customOrderError) {
+          socket.emit('error', { message: customOrderError });
+          return;
+        }
+        newCustomOrder = customOrder.map(round => round.slice());
+      }
+    }
+
+    let newDraftType = draftState.settings.draftType;
+    if (draftType !== undefined) {
+      if (draftType !== 'standard' && draftType !== 'auction') {
+        socket.emit('error', { message: `Unknown draft type: ${draftType}` });
+        return;
+      }
+      newDraftType = draftType;
+    }
+
+    let newAuction = draftState.settings.auction;
+    if (auction) {
+      if (!Number.isInteger(auction.budget) || auction.budget < 1 || auction.budget > 10000) {
+        socket.emit('error', { message: 'Auction budget must be a whole number from 1 to 10000' });
+        return;
+      }
+
+      if (!Number.isInteger(auction.bidSeconds) || auction.bidSeconds < 5 || auction.bidSeconds > 120) {
+        socket.emit('error', { message: 'Bid clock must be a whole number of seconds from 5 to 120' });
+        return;
+      }
+
+      newAuction = { budget: auction.budget, bidSeconds: auction.bidSeconds };
+    }
+
+    draftState.settings = {
+      ...draftState.settings,
+      draftType: newDraftType,
+      auction: newAuction,
+      tradeReview: tradeReview !== undefined ? !!tradeReview : draftState.settings.tradeReview,
+      format: newFormat,
+      customOrder: newCustomOrder,
+      pickClock: newPickClock,
+      rosterSlots: newRosterSlots
+    };
+    draftState.teams.forEach(team => repackRoster(room, team));
+
+    logRoom(room, `Settings updated: ${newDraftType === 'auction' ? `auction ($${newAuction.budget}, ${newAuction.bidSeconds}s bids)` : `format ${newFormat}`}; roster ${newRosterSlots.map(slot => `${slot.label} ${slot.count}`).join(', ')}; ` +
+                `pick clock ${newPickClock.seconds}s` +
+                (newPickClock.secondsByRound.length ? ` (by round: ${newPickClock.secondsByRound.map(v => v === null ? '-' : v).join(',')})` : ''));
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Set the first-round order by hand (commissioners only, before the order is locked).
+  // Payload: { teamIds: [...] } with every team exactly once.
+  socket.on('set-draft-order', guardHandler(room, socket, 'set-draft-order', (data) => {
+    const { teamIds } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Draft has already started' });
+      return;
+    }
+
+    if (draftState.orderSetup.locked) {
+      socket.emit('error', { message: 'Unlock the draft order before changing it' });
+      return;
+    }
+
+    const isFullOrder = Array.isArray(teamIds) &&
+                        teamIds.length === draftState.teams.length &&
+                        new Set(teamIds).size === teamIds.length &&
+                        teamIds.every(id => findTeamById(room, id));
+    if (!isFullOrder) {
+      socket.emit('error', { message: 'Draft order must list every team exactly once' });
+      return;
+    }
+
+    draftState.orderSetup = { teamIds: teamIds.slice(), method: 'manual', seed: null, locked: false };
+
+    logRoom(room, 'Draft order set manually:', teamIds.map(id => findTeamById(room, id).name));
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Draw the first-round order by lottery (commissioners only, before the order is locked).
+  // Payload: { seed } (optional; a random seed is drawn and recorded when omitted)
+  socket.on('run-draft-lottery', guardHandler(room, socket, 'run-draft-lottery', (data) => {
+    const seed = data && data.seed !== undefined && data.seed !== null ? data.seed : crypto.randomBytes(4).readUInt32BE(0);
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Draft has already started' });
+      return;
+    }
+
+    if (draftState.orderSetup.locked) {
+      socket.emit('error', { message: 'Unlock the draft order before running the lottery' });
+      return;
+    }
+
+    if (draftState.teams.length < 2) {
+      socket.emit('error', { message: 'Need at least 2 teams to run the lottery' });
+      return;
+    }
+
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+      socket.emit('error', { message: 'Lottery seed must be a whole number from 0 to 4294967295' });
+      return;
+    }
+
+    const teamIds = runDraftLottery(room, seed);
+    draftState.orderSetup = { teamIds, method: 'lottery', seed, locked: false };
+
+    logRoom(room, `Draft lottery (seed ${seed}):`, teamIds.map(id => findTeamById(room, id).name));
+    persistState(room);
+
+    // Clients animate the reveal, then settle on the state update
+    io.to(room.id).emit('draft-lottery', { teamIds, seed });
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Lock or unlock the first-round order (commissioners only). Locked orders block new teams and allow the draft to start.
+  socket.on('set-draft-order-locked', guardHandler(room, socket, 'set-draft-order-locked', (data) => {
+    const locked = !!(data && data.locked);
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Draft has already started' });
+      return;
+    }
+
+    if (locked && draftState.teams.length < 2) {
+      socket.emit('error', { message: 'Need at least 2 teams to lock the draft order' });
+      return;
+    }
+
+    draftState.orderSetup.locked = locked;
+
+    logRoom(room, `Draft order ${locked ? 'locked' : 'unlocked'}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Assign a keeper to a team (commissioners only, before the draft starts).
+  // Payload: { teamId, playerId, round } where round is the 1-based round whose pick the keeper costs
+  socket.on('assign-keeper', guardHandler(room, socket, 'assign-keeper', (data) => {
+    const { teamId, playerId, round } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Keepers can only be assigned before the draft starts' });
+      return;
+    }
+
+    const team = findTeamById(room, teamId);
+    if (!team) {
+      socket.emit('error', { message: 'Team not found' });
+      return;
+    }
+
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (draftState.draftedPlayerIds.has(playerId)) {
+      socket.emit('error', { message: `${player.name} is already a keeper` });
+      return;
+    }
+
+    const rounds = getRosterSize(room);
+    if (!Number.isInteger(round) || round < 1 || round > rounds) {
+      socket.emit('error', { message: `Keeper round must be from 1 to ${rounds}` });
+      return;
+    }
+
+    if (draftState.keepers.some(k => k.teamId === teamId && k.round === round)) {
+      socket.emit('error', { message: `${team.name} already has a keeper in round ${round}` });
+      return;
+    }
+
+    if (!canDraftPosition(room, team, player.position)) {
+      socket.emit('error', { message: `${team.name} has no open roster slots for a ${player.position}` });
+      return;
+    }
+
+    draftState.keepers.push({ teamId, playerId, round });
+    addToRoster(room, team, { ...player, keeper: true });
+    draftState.draftedPlayerIds.add(playerId);
+    removeFromQueues(room, playerId);
+
+    logRoom(room, `Keeper: ${player.name} to ${team.name} (round ${round}) by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
+
+  // Remove a keeper, returning the player to the pool (commissioners only, before the draft starts)
+  socket.on('remove-keeper', guardHandler(room, socket, 'remove-keeper', (data) => {
+    const { playerId } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'Keepers can only be changed before the draft starts' });
+      return;
+    }
+
+    const keeper = draftState.keepers.find(k => k.playerId === playerId);
+    if (!keeper) {
+      socket.emit('error', { message: 'Keeper not found' });
+      return;
+    }
+
+    const team = findTeamById(room, keeper.teamId);
+    draftState.keepers = draftState.keepers.filter(k => k !== keeper);
+    removeFromRoster(room, team, playerId);
+    draftState.draftedPlayerIds.delete(playerId);
+
+    logRoom(room, `Keeper removed from ${team.name} by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
+
+  // Present a previously issued commissioner token (after refresh/reconnect)
+  socket.on('authenticate-commissioner', guardHandler(room, socket, 'authenticate-commissioner', (data) => {
+    const { token } = data || {};
+    const role = getCommissionerRole(room, token);
+
+    if (!role) {
+      // A reclaim may already have given this socket a fresh token, making the one its tab re-sent stale
+      if (isCommissioner(room, socket)) return;
+      socket.emit('commissioner-revoked');
+      return;
+    }
+
+    socket.data.commissionerToken = token;
+    socket.emit('commissioner-granted', { token, role });
+  }));
+
+  // Claim the commissioner role with the configured secret
+  socket.on('claim-commissioner', guardHandler(room, socket, 'claim-commissioner', (data) => {
+    const { secret } = data || {};
+    const team = findTeamBySocketId(room, socket.id);
+
+    if (!COMMISSIONER_SECRET) {
+      socket.emit('error', { message: 'No commissioner secret is configured for this draft' });
+      return;
+    }
+
+    if (!team) {
+      socket.emit('error', { message: 'You must join as a team to become commissioner' });
+      return;
+    }
+
+    if (secret !== COMMISSIONER_SECRET) {
+      socket.emit('error', { message: 'Incorrect commissioner secret' });
+      return;
+    }
+
+    // The secret holder always wins; any previous commissioner is replaced
+    if (draftState.commissioner) {
+      revokeCommissionerToken(room, draftState.commissioner.token);
+    }
+    draftState.coCommissioners = draftState.coCommissioners.filter(c => c.teamId !== team.id);
+    grantCommissionerRole(room, team, 'commissioner');
+
+    logRoom(room, `Team "${team.name}" claimed the commissioner role`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Hand the commissioner role to another team (commissioner only)
+  socket.on('transfer-commissioner', guardHandler(room, socket, 'transfer-commissioner', (data) => {
+    const { teamId } = data || {};
+
+    if (!isPrimaryCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Only the commissioner can transfer the role' });
+      return;
+    }
 
-  try {
-    fs.writeFileSync(path.join(__dirname, filename), JSON.stringify(results, null, 2));
-    console.log(`Draft results saved to ${filename}`);
-  } catch (err) {
-    console.error('Error saving draft results:', err.message);
-  }
-}
+    const team = findTeamById(room, teamId);
+    if (!team) {
+      socket.emit('error', { message: 'Team not found' });
+      return;
+    }
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+    if (team.id === draftState.commissioner.teamId) {
+      socket.emit('error', { message: 'That team is already the commissioner' });
+      return;
+    }
 
-// API: Get current state
-app.get('/api/state', (req, res) => {
-  res.json(serializeDraftState());
-});
+    // The new token is delivered to the team's live connection, so they must be online
+    if (!team.socketId) {
+      socket.emit('error', { message: `${team.name} is not connected` });
+      return;
+    }
 
-// API: Get available players
-app.get('/api/players', (req, res) => {
-  let players = getAvailablePlayers();
+    const previousName = getCommissionerName(room, socket);
+    revokeCommissionerToken(room, draftState.commissioner.token);
+    draftState.coCommissioners = draftState.coCommissioners.filter(c => c.teamId !== team.id);
+    grantCommissionerRole(room, team, 'commissioner');
 
-  // Filter by position if specified
-  const position = req.query.position;
-  if (position && position !== 'ALL') {
-    players = players.filter(p => p.position === position);
-  }
+    logRoom(room, `Commissioner role transferred from ${previousName} to ${team.name}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
 
-  res.json(players);
-});
+  // Import player rankings from CSV text (commissioners only). Replaces any earlier import.
+  // Payload: { csv }
+  socket.on('import-rankings', guardHandler(room, socket, 'import-rankings', (data) => {
+    const csv = data && data.csv;
 
-// API: Get draft results (for download)
-app.get('/api/results', (req, res) => {
-  if (draftState.phase !== 'complete') {
-    res.status(400).json({ error: 'Draft is not complete' });
-    return;
-  }
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
 
-  const results = {
-    completedAt: new Date().toISOString(),
-    teams: draftState.teams.map(team => ({
-      name: team.name,
-      roster: {
-        QB: team.roster.QB.map(p => ({ name: p.name, team: p.team })),
-        RB: team.roster.RB.map(p => ({ name: p.name, team: p.team })),
-        WR_TE: team.roster.WR_TE.map(p => ({ name: p.name, team: p.team, position: p.position })),
-        K: team.roster.K.map(p => ({ name: p.name, team: p.team }))
-      }
-    })),
-    pickHistory: draftState.picks.map(pick => {
-      const team = findTeamById(pick.teamId);
-      const player = allPlayers.find(p => p.id === pick.playerId);
-      return {
-        pickNumber: pick.pickNumber,
-        teamName: team ? team.name : 'Unknown',
-        playerName: player ? player.name : 'Unknown',
-        position: player ? player.position : 'Unknown',
-        nflTeam: player ? player.team : 'Unknown'
-      };
-    })
-  };
+    if (typeof csv !== 'string' || csv.trim() === '') {
+      socket.emit('error', { message: 'Choose a rankings CSV file to import' });
+      return;
+    }
 
-  res.json(results);
-});
+    if (csv.length > MAX_RANKINGS_CSV_LENGTH) {
+      socket.emit('error', { message: 'The rankings file is too large (200 KB maximum)' });
+      return;
+    }
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`);
+    const result = buildRankingsFromCsv(room, csv);
+    if (result.error) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
 
-  // Send current state to newly connected client
-  socket.emit('draft-state-updated', serializeDraftState());
-  socket.emit('players-updated', getAvailablePlayers());
+    draftState.rankings = result.rankings;
+    draftState.rankingsImport = {
+      importedAt: Date.now(),
+      matched: result.matched,
+      unmatched: result.unmatched.slice(0, 25),
+      unmatchedCount: result.unmatched.length
+    };
+    logRoom(room, `Rankings imported by ${getCommissionerName(room, socket)}: ` +
+                  `${result.matched} players matched, ${result.unmatched.length} rows unmatched`);
+    persistState(room);
 
-  // Join draft
-  socket.on('join-draft', (data) => {
-    const { teamName } = data;
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
 
-    // Validation
-    if (!teamName || teamName.trim() === '') {
-      socket.emit('error', { message: 'Team name cannot be empty' });
+  // Remove imported rankings (commissioners only)
+  socket.on('clear-rankings', guardHandler(room, socket, 'clear-rankings', () => {
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    const trimmedName = teamName.trim();
+    draftState.rankings = {};
+    draftState.rankingsImport = null;
+    logRoom(room, `Rankings cleared by ${getCommissionerName(room, socket)}`);
+    persistState(room);
 
-    // Check if reconnecting to existing team
-    const existingTeam = findTeamByName(trimmedName);
-    if (existingTeam) {
-      // Reconnection - update socket ID
-      existingTeam.socketId = socket.id;
-      console.log(`Team "${trimmedName}" reconnected with socket ${socket.id}`);
-      socket.emit('joined', { teamId: existingTeam.id, teamName: existingTeam.name });
-      io.emit('draft-state-updated', serializeDraftState());
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
+
+  // Record (or clear, with winner: null) the winner of an NFL playoff game (commissioners only, any time).
+  // Payload: { gameId, winner }
+  socket.on('set-game-winner', guardHandler(room, socket, 'set-game-winner', (data) => {
+    const { gameId, winner } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    // Check if draft already started
-    if (draftState.phase !== 'setup') {
-      socket.emit('error', { message: 'Draft has already started. You can only rejoin with an existing team name.' });
+    const game = buildBracketGames(draftState.bracket).find(g => g.id === gameId);
+    if (!game) {
+      socket.emit('error', { message: 'Game not found' });
       return;
     }
 
-    // Check if max teams reached
-    if (draftState.teams.length >= 8) {
-      socket.emit('error', { message: 'Draft is full (8 teams maximum)' });
+    if (winner && (!game.home || !game.away)) {
+      socket.emit('error', { message: 'Both teams in that game must be known first' });
       return;
     }
 
-    // Clear any previous team association for this socket
-    // (handles case where same browser tab auto-reconnected to wrong team via localStorage)
-    const previousTeam = findTeamBySocketId(socket.id);
-    if (previousTeam) {
-      previousTeam.socketId = null;
-      console.log(`Cleared socket association from team "${previousTeam.name}"`);
+    if (winner && winner !== game.home && winner !== game.away) {
+      socket.emit('error', { message: `${winner} isn't playing in that game` });
+      return;
     }
 
-    // Create new team
-    const newTeam = {
-      id: generateTeamId(),
-      name: trimmedName,
-      socketId: socket.id,
-      roster: {
-        QB: [],
-        RB: [],
-        WR_TE: [],
-        K: []
+    // Changing a result can change who plays later; later results must be cleared first
+    const { winners } = draftState.bracket;
+    const previous = winners[gameId];
+    if (winner) {
+      winners[gameId] = winner;
+    } else {
+      delete winners[gameId];
+    }
+    const stale = buildBracketGames(draftState.bracket).find(g => g.winner && g.winner !== g.home && g.winner !== g.away);
+    if (stale) {
+      if (previous) {
+        winners[gameId] = previous;
+      } else {
+        delete winners[gameId];
       }
-    };
+      socket.emit('error', { message: `Clear the ${stale.id} result first` });
+      return;
+    }
 
-    draftState.teams.push(newTeam);
-    console.log(`Team "${trimmedName}" joined the draft`);
+    logRoom(room, winner
+      ? `${gameId}: ${winner} beat ${winner === game.home ? game.away : game.home} (recorded by ${getCommissionerName(room, socket)})`
+      : `${gameId} result cleared by ${getCommissionerName(room, socket)}`);
+    persistState(room);
 
-    socket.emit('joined', { teamId: newTeam.id, teamName: newTeam.name });
-    io.emit('draft-state-updated', serializeDraftState());
-  });
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('scores-updated', buildScoreboard(room));
+  }));
 
-  // Join as watcher (spectator mode)
-  socket.on('join-as-watcher', (data) => {
-    const { watcherName } = data;
+  // Set one conference's playoff seeds, top seed first (commissioners only, before any game is decided).
+  // Payload: { conference, teams: [7 team abbreviations] }
+  socket.on('set-playoff-seeds', guardHandler(room, socket, 'set-playoff-seeds', (data) => {
+    const { conference, teams } = data || {};
 
-    // Validation
-    if (!watcherName || watcherName.trim() === '') {
-      socket.emit('error', { message: 'Name cannot be empty' });
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    const trimmedName = watcherName.trim();
-
-    // Check if this name is already a team
-    const existingTeam = findTeamByName(trimmedName);
-    if (existingTeam) {
-      socket.emit('error', { message: 'This name is already registered as a team. Use "Join Draft" instead.' });
+    if (!CONFERENCES.includes(conference)) {
+      socket.emit('error', { message: 'Conference must be AFC or NFC' });
       return;
     }
 
-    // Check if reconnecting as existing watcher
-    const existingWatcher = findWatcherByName(trimmedName);
-    if (existingWatcher) {
-      existingWatcher.socketId = socket.id;
-      console.log(`Watcher "${trimmedName}" reconnected with socket ${socket.id}`);
-      socket.emit('joined-as-watcher', { watcherId: existingWatcher.id, watcherName: existingWatcher.name });
-      io.emit('draft-state-updated', serializeDraftState());
+    if (Object.keys(draftState.bracket.winners).length > 0) {
+      socket.emit('error', { message: 'Seeds can only change before any playoff game is decided' });
       return;
     }
 
-    // Create new watcher
-    const newWatcher = {
-      id: 'watcher-' + Math.random().toString(36).substr(2, 9),
-      name: trimmedName,
-      socketId: socket.id
-    };
-
-    draftState.watchers.push(newWatcher);
-    console.log(`Watcher "${trimmedName}" joined to watch the draft`);
-
-    socket.emit('joined-as-watcher', { watcherId: newWatcher.id, watcherName: newWatcher.name });
-    io.emit('draft-state-updated', serializeDraftState());
-  });
+    const seeds = Array.isArray(teams) ? teams.map(t => String(t).trim().toUpperCase()) : [];
+    if (seeds.length !== SEEDS_PER_CONFERENCE || new Set(seeds).size !== SEEDS_PER_CONFERENCE) {
+      socket.emit('error', { message: `Enter ${SEEDS_PER_CONFERENCE} different teams, top seed first` });
+      return;
+    }
 
-  // Start draft
-  socket.on('start-draft', () => {
-    // Validation
-    if (draftState.phase !== 'setup') {
-      socket.emit('error', { message: 'Draft has already started' });
+    const otherConference = CONFERENCES.find(c => c !== conference);
+    const inBoth = seeds.find(team => draftState.bracket.seeds[otherConference].includes(team));
+    if (inBoth) {
+      socket.emit('error', { message: `${inBoth} is already seeded in the ${otherConference}` });
       return;
     }
 
-    if (draftState.teams.length < 2) {
-      socket.emit('error', { message: 'Need at least 2 teams to start the draft' });
+    const poolTeams = new Set(getPlayerPool(room).map(p => p.team));
+    const unknown = seeds.find(team => !poolTeams.has(team));
+    if (unknown) {
+      socket.emit('error', { message: `No players in the pool play for ${unknown}` });
       return;
     }
 
-    // Generate draft order
-    draftState.draftOrder = generateSnakeDraftOrder(draftState.teams);
-    draftState.phase = 'drafting';
-    draftState.currentPickIndex = 0;
+    draftState.bracket.seeds[conference] = seeds;
+    logRoom(room, `${conference} seeds set by ${getCommissionerName(room, socket)}: ${seeds.join(', ')}`);
+    persistState(room);
 
-    console.log('Draft started!');
-    console.log('Draft order:', draftState.draftOrder.map(id => findTeamById(id).name));
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
 
-    io.emit('draft-started', { draftOrder: draftState.draftOrder });
-    io.emit('draft-state-updated', serializeDraftState());
-  });
+  // Import one playoff round's stats from CSV or JSON text (commissioners only, after the draft).
+  // Payload: { round, text }
+  socket.on('import-stats', guardHandler(room, socket, 'import-stats', (data) => {
+    const { round, text } = data || {};
 
-  // Draft player
-  socket.on('draft-player', (data) => {
-    const { playerId } = data;
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
 
-    // Validation: Phase check
-    if (draftState.phase !== 'drafting') {
-      socket.emit('error', { message: 'Draft is not in progress' });
+    const error = importRoundStats(room, round, text, getCommissionerName(room, socket));
+    if (error) {
+      socket.emit('error', { message: error });
+    }
+  }));
+
+  // Remove one playoff round's imported stats (commissioners only)
+  // Payload: { round }
+  socket.on('clear-stats', guardHandler(room, socket, 'clear-stats', (data) => {
+    const round = data && data.round;
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    // Validation: Pause check
-    if (draftState.paused) {
-      socket.emit('error', { message: 'Draft is paused' });
+    if (!draftState.scoring.imports[round]) {
+      socket.emit('error', { message: 'No stats imported for that round' });
       return;
     }
 
-    // Find the team making this pick
-    const team = findTeamBySocketId(socket.id);
-    if (!team) {
-      socket.emit('error', { message: 'You are not registered as a team' });
+    delete draftState.scoring.stats[round];
+    delete draftState.scoring.imports[round];
+    logRoom(room, `${round} stats cleared by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('scores-updated', buildScoreboard(room));
+  }));
+
+  // Change the league's scoring rules (commissioners only, any time; scores are recomputed)
+  // Payload: { preset?, passTd?, reception?, longTdBonus?, fg0_39?, ... }
+  socket.on('update-scoring', guardHandler(room, socket, 'update-scoring', (data) => {
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    // Check if it's this team's turn
-    const currentPicker = getCurrentPicker();
-    if (!currentPicker || currentPicker.id !== team.id) {
-      socket.emit('error', { message: 'It is not your turn to pick' });
+    const result = validateScoringRules(draftState.scoring.rules, data || {});
+    if (result.error) {
+      socket.emit('error', { message: result.error });
       return;
     }
 
-    // Check if player exists
-    const player = allPlayers.find(p => p.id === playerId);
-    if (!player) {
-      socket.emit('error', { message: 'Player not found' });
+    draftState.scoring.rules = result.rules;
+    logRoom(room, `Scoring rules updated by ${getCommissionerName(room, socket)} (${result.rules.preset})`);
+    persistState(room);
+    io.to(room.id).emit('scores-updated', buildScoreboard(room));
+  }));
+
+  // Set a player's injury status, with an optional note (commissioners only, any time).
+  // Payload: { playerId, status, note }; 'Active' clears it.
+  socket.on('set-player-status', guardHandler(room, socket, 'set-player-status', (data) => {
+    const { playerId, status, note } = data || {};
+
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    // Check if player already drafted
-    if (draftState.draftedPlayerIds.has(playerId)) {
-      socket.emit('error', { message: 'Player has already been drafted' });
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
       return;
     }
 
-    // Check position limit
-    if (!canDraftPosition(team, player.position)) {
-      socket.emit('error', { message: `You have already filled your ${player.position} roster slots` });
+    if (!PLAYER_STATUSES.includes(status)) {
+      socket.emit('error', { message: `Status must be one of ${PLAYER_STATUSES.join(', ')}` });
       return;
     }
 
-    // Make the pick
-    const rosterSlot = getRosterSlot(player.position);
-    team.roster[rosterSlot].push(player);
-    draftState.draftedPlayerIds.add(playerId);
+    const trimmedNote = typeof note === 'string' ? note.trim().slice(0, 100) : '';
+    if (status === 'Active') {
+      delete draftState.playerStatuses[playerId];
+    } else {
+      draftState.playerStatuses[playerId] = { status, note: trimmedNote, updatedAt: Date.now() };
+    }
 
-    const pickNumber = draftState.currentPickIndex + 1;
-    draftState.picks.push({
-      teamId: team.id,
-      playerId: playerId,
-      pickNumber: pickNumber,
-      timestamp: Date.now()
-    });
+    logRoom(room, `${player.name} marked ${status}${trimmedNote ? ` (${trimmedNote})` : ''} by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
 
-    console.log(`Pick #${pickNumber}: ${team.name} drafts ${player.name} (${player.position})`);
+  // Replace the room's player pool with an uploaded list (commissioners only, before the draft starts).
+  // Payload: { text } holding a JSON array or CSV
+  socket.on('import-players', guardHandler(room, socket, 'import-players', (data) => {
+    const text = data && data.text;
 
-    // Advance to next pick
-    draftState.currentPickIndex++;
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
 
-    // Check if draft is complete
-    const totalPicks = draftState.teams.length * 7;
-    if (draftState.currentPickIndex >= totalPicks) {
-      draftState.phase = 'complete';
-      console.log('Draft complete!');
-      saveDraftResults();
+    const error = importPlayerPool(room, text, getCommissionerName(room, socket));
+    if (error) {
+      socket.emit('error', { message: error });
     }
+  }));
 
-    // Notify all clients
-    io.emit('player-drafted', {
-      playerId: playerId,
-      teamId: team.id,
-      teamName: team.name,
-      playerName: player.name,
-      playerPosition: player.position,
-      playerTeam: player.team,
-      pickNumber: pickNumber
-    });
-    io.emit('draft-state-updated', serializeDraftState());
-    io.emit('players-updated', getAvailablePlayers());
-  });
+  // Add one player to the pool (commissioners only, before the draft starts).
+  // Payload: { name, team, position, id } (id optional)
+  socket.on('add-player', guardHandler(room, socket, 'add-player', (data) => {
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
 
-  // Chat message
-  socket.on('chat-message', (data) => {
-    const { message } = data;
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'The player pool can only be changed before the draft starts' });
+      return;
+    }
 
-    // Find the team or watcher sending this message
-    const team = findTeamBySocketId(socket.id);
-    const watcher = findWatcherBySocketId(socket.id);
+    const { player, error } = buildPlayer(data || {});
+    if (error) {
+      socket.emit('error', { message: `That player ${error}` });
+      return;
+    }
 
-    if (!team && !watcher) {
-      socket.emit('error', { message: 'You must join the draft to chat' });
+    const pool = getPlayerPool(room);
+    if (pool.some(p => p.id === player.id)) {
+      socket.emit('error', { message: `A player with the id "${player.id}" is already in the pool` });
       return;
     }
 
-    // Validate message
-    if (!message || message.trim() === '') {
+    if (pool.length >= MAX_POOL_PLAYERS) {
+      socket.emit('error', { message: `The player pool is full (${MAX_POOL_PLAYERS} maximum)` });
       return;
     }
 
-    const trimmedMessage = message.trim().substring(0, 200); // Limit to 200 chars
+    setPlayerPool(room, [...pool, player]);
+    logRoom(room, `${player.name} (${player.position}, ${player.team}) added to the player pool by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
 
-    const senderId = team ? team.id : watcher.id;
-    const senderName = team ? team.name : watcher.name;
+  // Take a player out of the pool, e.g. injured (commissioners only, before the draft starts). Payload: { playerId }
+  socket.on('remove-player', guardHandler(room, socket, 'remove-player', (data) => {
+    const { playerId } = data || {};
 
-    const chatMessage = {
-      id: Date.now() + '-' + Math.random().toString(36).substr(2, 6),
-      teamId: senderId,
-      teamName: senderName + (watcher ? ' (Spectator)' : ''),
-      message: trimmedMessage,
-      timestamp: Date.now()
-    };
+    if (!isCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
 
-    chatMessages.push(chatMessage);
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'The player pool can only be changed before the draft starts' });
+      return;
+    }
 
-    // Keep only last 100 messages
-    if (chatMessages.length > 100) {
-      chatMessages.shift();
+    const player = findPlayerById(room, playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
     }
 
-    // Broadcast to all clients
-    io.emit('chat-message', chatMessage);
-  });
+    const error = setPlayerPool(room, getPlayerPool(room).filter(p => p.id !== playerId));
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
 
-  // Send chat history when requested
-  socket.on('get-chat-history', () => {
-    socket.emit('chat-history', chatMessages);
-  });
+    logRoom(room, `${player.name} removed from the player pool by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
 
-  // Pause draft (BD Crushers only)
-  socket.on('pause-draft', () => {
-    const team = findTeamBySocketId(socket.id);
-    if (!team || team.name !== 'BD Crushers') {
+  // Go back to the server's players.json (commissioners only, before the draft starts)
+  socket.on('reset-players', guardHandler(room, socket, 'reset-players', () => {
+    if (!isCommissioner(room, socket)) {
       socket.emit('error', { message: 'Unauthorized' });
       return;
     }
 
-    if (draftState.phase !== 'drafting') {
-      socket.emit('error', { message: 'Draft is not in progress' });
+    if (draftState.phase !== 'setup') {
+      socket.emit('error', { message: 'The player pool can only be changed before the draft starts' });
       return;
     }
 
-    draftState.paused = true;
-    console.log('Draft paused by BD Crushers');
-    io.emit('draft-state-updated', serializeDraftState());
-  });
+    const error = setPlayerPool(room, null);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
 
-  // Resume draft (BD Crushers only)
-  socket.on('resume-draft', () => {
-    const team = findTeamBySocketId(socket.id);
-    if (!team || team.name !== 'BD Crushers') {
-      socket.emit('error', { message: 'Unauthorized' });
+    logRoom(room, `Player pool reset to players.json by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+    io.to(room.id).emit('players-updated', getAvailablePlayers(room));
+  }));
+
+  // Give a team a new PIN when its manager has lost theirs (commissioner only). The old PIN stops working.
+  socket.on('reset-team-pin', guardHandler(room, socket, 'reset-team-pin', (data) => {
+    const { teamId } = data || {};
+
+    if (!isPrimaryCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Only the commissioner can reset team PINs' });
       return;
     }
 
-    if (draftState.phase !== 'drafting') {
-      socket.emit('error', { message: 'Draft is not in progress' });
+    const team = findTeamById(room, teamId);
+    if (!team) {
+      socket.emit('error', { message: 'Team not found' });
       return;
     }
 
-    draftState.paused = false;
-    console.log('Draft resumed by BD Crushers');
-    io.emit('draft-state-updated', serializeDraftState());
-  });
+    team.pin = generateTeamPin();
+    logRoom(room, `PIN for team "${team.name}" reset by ${getCommissionerName(room, socket)}`);
+    persistState(room);
 
-  // Undo pick (BD Crushers only, draft must be paused)
-  socket.on('undo-pick', (data) => {
-    const { pickNumber } = data;
-    const team = findTeamBySocketId(socket.id);
+    socket.emit('team-pin-reset', { teamId: team.id, teamName: team.name, pin: team.pin });
+    // Keep the team's own tab in sync so it can still reconnect after a refresh
+    if (team.socketId && team.socketId !== socket.id) {
+      io.to(team.socketId).emit('team-pin-updated', { pin: team.pin });
+    }
+  }));
 
-    if (!team || team.name !== 'BD Crushers') {
-      socket.emit('error', { message: 'Unauthorized' });
+  // Grant co-commissioner powers to another team (commissioner only)
+  socket.on('grant-co-commissioner', guardHandler(room, socket, 'grant-co-commissioner', (data) => {
+    const { teamId } = data || {};
+
+    if (!isPrimaryCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Only the commissioner can add co-commissioners' });
       return;
     }
 
-    if (draftState.phase !== 'drafting') {
-      socket.emit('error', { message: 'Draft is not in progress' });
+    const team = findTeamById(room, teamId);
+    if (!team) {
+      socket.emit('error', { message: 'Team not found' });
       return;
     }
 
-    if (!draftState.paused) {
-      socket.emit('error', { message: 'Draft must be paused to undo picks' });
+    if (team.id === draftState.commissioner.teamId ||
+        draftState.coCommissioners.some(c => c.teamId === team.id)) {
+      socket.emit('error', { message: `${team.name} is already a commissioner` });
       return;
     }
 
-    // Find the pick to undo
-    const pickIndex = draftState.picks.findIndex(p => p.pickNumber === pickNumber);
-    if (pickIndex === -1) {
-      socket.emit('error', { message: 'Pick not found' });
+    if (!team.socketId) {
+      socket.emit('error', { message: `${team.name} is not connected` });
       return;
     }
 
-    const pick = draftState.picks[pickIndex];
-    const pickTeam = findTeamById(pick.teamId);
-    const player = allPlayers.find(p => p.id === pick.playerId);
+    grantCommissionerRole(room, team, 'co-commissioner');
 
-    if (!pickTeam || !player) {
-      socket.emit('error', { message: 'Invalid pick data' });
+    logRoom(room, `${team.name} made co-commissioner by ${getCommissionerName(room, socket)}`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Remove a team's co-commissioner powers (commissioner only)
+  socket.on('revoke-co-commissioner', guardHandler(room, socket, 'revoke-co-commissioner', (data) => {
+    const { teamId } = data || {};
+
+    if (!isPrimaryCommissioner(room, socket)) {
+      socket.emit('error', { message: 'Only the commissioner can remove co-commissioners' });
       return;
     }
 
-    // Remove player from team roster
-    const rosterSlot = getRosterSlot(player.position);
-    const playerIndex = pickTeam.roster[rosterSlot].findIndex(p => p.id === pick.playerId);
-    if (playerIndex !== -1) {
-      pickTeam.roster[rosterSlot].splice(playerIndex, 1);
+    const grant = draftState.coCommissioners.find(c => c.teamId === teamId);
+    if (!grant) {
+      socket.emit('error', { message: 'That team is not a co-commissioner' });
+      return;
     }
 
-    // Remove from drafted players
-    draftState.draftedPlayerIds.delete(pick.playerId);
+    draftState.coCommissioners = draftState.coCommissioners.filter(c => c !== grant);
+    revokeCommissionerToken(room, grant.token);
+
+    const team = findTeamById(room, teamId);
+    logRoom(room, `${team ? team.name : teamId} is no longer a co-commissioner`);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Replace your team's queue (the client sends the full ordered list after every add/remove/reorder)
+  socket.on('update-queue', guardHandler(room, socket, 'update-queue', (data) => {
+    const { playerIds } = data || {};
+    const team = findTeamBySocketId(room, socket.id);
+
+    if (!team) {
+      socket.emit('error', { message: 'You are not registered as a team' });
+      return;
+    }
 
-    // Remove from picks array
-    draftState.picks.splice(pickIndex, 1);
+    if (!Array.isArray(playerIds) || playerIds.length > 100) {
+      socket.emit('error', { message: 'Invalid queue' });
+      return;
+    }
 
-    // Adjust currentPickIndex if needed (go back one pick)
-    if (draftState.currentPickIndex > 0) {
-      draftState.currentPickIndex--;
+    if (!playerIds.every(id => findPlayerById(room, id))) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
     }
 
-    console.log(`Pick #${pickNumber} undone by BD Crushers: ${player.name} removed from ${pickTeam.name}`);
+    // Silently drop duplicates and players drafted since the client last heard
+    team.queue = [...new Set(playerIds)].filter(id => !draftState.draftedPlayerIds.has(id));
+    persistState(room);
+    emitQueue(team);
+  }));
 
-    // Notify all clients
-    io.emit('draft-state-updated', serializeDraftState());
-    io.emit('players-updated', getAvailablePlayers());
-  });
+  // Toggle autodraft for your own team
+  socket.on('set-autodraft', guardHandler(room, socket, 'set-autodraft', (data) => {
+    const { enabled } = data || {};
+    const team = findTeamBySocketId(room, socket.id);
+
+    if (!team) {
+      socket.emit('error', { message: 'You are not registered as a team' });
+      return;
+    }
+
+    team.autodraft = !!enabled;
+    logRoom(room, `Team "${team.name}" turned autodraft ${team.autodraft ? 'on' : 'off'}`);
+    scheduleAutoPick(room);
+    persistState(room);
+    io.to(room.id).emit('draft-state-updated', serializeDraftState(room));
+  }));
+
+  // Client reports its tab going idle (hidden or untouched) or active again. Payload: { idle }
+  socket.on('set-presence', guardHandler(room, socket, 'set-presence', (data) => {
+    const member = findTeamBySocketId(room, socket.id) || findWatcherBySocketId(room, socket.id);
+    if (!member) return;
+
+    const idle = !!(data && data.idle);
+    if (member.idle === idle) return;
+    member.idle = idle;
+    member.lastSeen = Date.now();
+    emitPresence(room, member);
+  }));
 
   // Disconnect handling
-  socket.on('disconnect', () => {
-    const team = findTeamBySocketId(socket.id);
+  socket.on('disconnect', guardHandler(room, socket, 'disconnect', () => {
+    const team = findTeamBySocketId(room, socket.id);
     if (team) {
       team.socketId = null;
-      console.log(`Team "${team.name}" disconnected`);
+      team.idle = false;
+      team.lastSeen = Date.now();
+      logRoom(room, `Team "${team.name}" disconnected`);
+      scheduleAutoPick(room);
+      emitPresence(room, team);
     }
-    const watcher = findWatcherBySocketId(socket.id);
+    const watcher = findWatcherBySocketId(room, socket.id);
     if (watcher) {
       watcher.socketId = null;
-      console.log(`Watcher "${watcher.name}" disconnected`);
+      watcher.idle = false;
+      watcher.lastSeen = Date.now();
+      logRoom(room, `Watcher "${watcher.name}" disconnected`);
+      emitPresence(room, watcher);
     }
-    console.log(`Client disconnected: ${socket.id}`);
-  });
+    logRoom(room, `Client disconnected: ${socket.id}`);
+  }));
 });
 
 // Start server